@@ -1,38 +1,65 @@
-// Google Ads Script: Keyword Expansion Script - Campaign Level Check with OpenAI Classification
+// Google Ads Script: Keyword Expansion Script - Campaign Level Check with AI Classification
 // This script fetches search terms, checks if they're already added as keywords
 // in ANY ad group within the same campaign, applies performance thresholds,
-// optionally classifies search terms using OpenAI, and exports qualifying terms to a Google Sheet
+// optionally classifies search terms using an AI model, and exports qualifying terms to a Google Sheet
 // Written by Matinique Roelse from Adcrease. Senior-only Google Ads agency.
 // Linkedin: https://www.linkedin.com/in/matiniqueroelse/
 // Website: https://www.adcrease.nl
 
 // ===== CONFIGURATION =====
-// IMPORTANT: If using OpenAI classification, please make a copy of this template sheet:
+// IMPORTANT: If using AI classification, please make a copy of this template sheet:
 // https://docs.google.com/spreadsheets/d/16zYOrhS0MwSQu66kk2tcE6xUoTcG34_OFzrRwLy-Ff4/edit?gid=0#gid=0
-// The template contains the required tabs and named ranges for the OpenAI API key.
+// The template contains the required tabs and named ranges for the API key.
 const SHEET_URL = ''; // Leave empty to create a new spreadsheet
 const TAB = 'Keyword Opportunities'; //Tab name
+const SETTINGS_TAB = 'Settings'; // Tab whose values override the configuration below, created from these defaults if missing
 
-// ===== OPENAI CONFIGURATION =====
-const USE_OPENAI_CLASSIFICATION = true; // Set to false to skip AI classification
-const OPENAI_API_KEY_NAMED_RANGE = 'openaiapikey'; // Named range containing OpenAI API key
-const WEBSITE_URL = ''; // Your website URL for content analysis (optional)
-
-// OpenAI settings
-const OPENAI_MODEL = 'gpt-3.5-turbo'; // Use gpt-4 for better accuracy (higher cost)
-const BATCH_SIZE = 10; // Number of search terms to process in each API call
-const MAX_TOTAL_COST = 5.00; // Maximum total cost in USD
-
-// OpenAI pricing (as of 2024) - update these rates as needed
-const OPENAI_PRICING = {
-  "gpt-3.5-turbo": {
-    input: 0.0015,  // $0.0015 per 1K input tokens
-    output: 0.002   // $0.002 per 1K output tokens
-  },
-  "gpt-4": {
-    input: 0.03,    // $0.03 per 1K input tokens
-    output: 0.06    // $0.06 per 1K output tokens
-  }
+// ===== AI CONFIGURATION =====
+const USE_AI_CLASSIFICATION = true; // Set to false to skip AI classification
+const AI_API_KEY_NAMED_RANGE = 'openaiapikey'; // Named range containing the API key of the provider below
+const AI_API_KEY_PROPERTY = 'AI_API_KEY'; // Script property with the API key, used when the named range is missing or empty
+const WEBSITE_URL = ''; // Your website URL for content analysis (optional), its sitemap or links are crawled
+const CRAWL_MAX_PAGES = 20; // Maximum number of pages fetched from the website, failed ones included
+const PAGES_PER_BATCH = 3; // Most relevant pages sent to the AI model with each batch of search terms
+
+// AI provider settings
+const AI_PROVIDER = 'OPENAI'; // 'OPENAI', 'AZURE_OPENAI', 'ANTHROPIC', 'GEMINI' or 'OPENAI_COMPATIBLE'
+const AI_MODEL = 'gpt-3.5-turbo'; // Model name, or the deployment name for Azure OpenAI. Must be listed in MODEL_PRICING
+const AI_BASE_URL = ''; // Azure: https://<resource>.openai.azure.com, OpenAI-compatible: e.g. https://gateway.example.com/v1
+const AZURE_API_VERSION = '2024-06-01'; // Azure OpenAI REST API version
+const BATCH_SIZE = 10; // Number of search terms to process in each API call, at most 13 so the reply fits the output token limit
+const AI_CLASSIFICATIONS = ['RELEVANT', 'SEMI_RELEVANT', 'IRRELEVANT', 'COMPETITOR', 'GENERIC']; // Labels the model may return, anything else is re-asked
+const MAX_TOTAL_COST = 5.00; // Maximum total cost in USD, classification stops before a batch would exceed it
+const AI_MAX_RETRIES = 3; // Retries for rate limits (429), server errors (5xx) and network errors
+const AI_RETRY_BASE_DELAY_SECONDS = 2; // First retry waits this long, doubling with every retry unless the API sends Retry-After
+const AI_CACHE_TTL_DAYS = 30; // Reuse classifications for this many days, 0 turns the cache off
+const AI_CACHE_TAB = 'AI Cache'; // Hidden tab with earlier classifications per term, model and website context
+
+// ===== RULE-BASED CLASSIFICATION =====
+// Terms matching a rule in the tab below get its label before, and without, any AI call. Rules are checked top to bottom:
+// TERMS matches any of the comma-separated words or phrases, EXACT the whole term and REGEX a case-insensitive pattern.
+const CLASSIFICATION_RULES_TAB = 'Classification Rules'; // Tab with the rules, created from the defaults below if missing
+const RULE_CLASSIFICATIONS = ['BRAND']; // Labels only rules assign, next to the AI_CLASSIFICATIONS
+const CLASSIFICATION_RULES = [
+    { type: 'TERMS', pattern: 'job, career, vacancy, salary', label: 'IRRELEVANT' },
+    { type: 'TERMS', pattern: 'free, login, log in, sign in', label: 'IRRELEVANT' },
+    { type: 'REGEX', pattern: '^(what|how|why) ', label: 'GENERIC' }
+    // { type: 'TERMS', pattern: 'acme, acme shoes', label: 'BRAND' }
+];
+
+// Model pricing in USD per 1K tokens - update these rates as needed, and add your own models,
+// Azure deployments or self-hosted models (use 0 for models you don't pay per token for)
+const MODEL_PRICING = {
+  "gpt-3.5-turbo": { input: 0.0015, output: 0.002 },
+  "gpt-4": { input: 0.03, output: 0.06 },
+  "gpt-4o": { input: 0.0025, output: 0.01 },
+  "gpt-4o-mini": { input: 0.00015, output: 0.0006 },
+  "gpt-4.1": { input: 0.002, output: 0.008 },
+  "gpt-4.1-mini": { input: 0.0004, output: 0.0016 },
+  "claude-3-5-haiku-latest": { input: 0.0008, output: 0.004 },
+  "claude-sonnet-4-0": { input: 0.003, output: 0.015 },
+  "gemini-2.0-flash": { input: 0.0001, output: 0.0004 },
+  "gemini-1.5-pro": { input: 0.00125, output: 0.005 }
 };
 
 // Performance thresholds - modify these as needed
@@ -41,6 +68,9 @@ const MIN_CLICKS = 5; // Minimum clicks threshold
 const MIN_CONVERSIONS = 1; // Minimum conversions threshold
 const LOOKBACK_DAYS = 2; // Days to exclude from the end of the date range
 
+// Aggregation level - metrics of a search term are summed at this level before thresholds are applied
+const AGGREGATION_LEVEL = 'AD_GROUP'; // 'AD_GROUP' (one row per ad group), 'CAMPAIGN' or 'ACCOUNT'
+
 // ===== DATE RANGE CONFIGURATION =====
 // Choose ONE of the following date range options:
 
@@ -52,6 +82,22 @@ const NUM_DAYS = 90; // Total days to analyze (excluding lookback)
 const MANUAL_START_DATE = '2025-01-01'; // Format: YYYY-MM-DD
 const MANUAL_END_DATE = '2025-01-31';   // Format: YYYY-MM-DD
 
+// Period-over-period comparison - flags terms that are rising or declining compared to an earlier window
+const COMPARISON_MODE = 'NONE'; // 'NONE', 'PREVIOUS_PERIOD' (equal-length window before) or 'PREVIOUS_YEAR' (same dates last year)
+const TRENDING_TAB = 'Trending'; // Tab with emerging and fading search terms, leave empty to skip
+const TREND_CHANGE_THRESHOLD = 0.5; // EMERGING when clicks grow by this share (0.5 = +50%) or the term is new, FADING when they fall by it
+const TREND_MIN_CLICKS = 10; // Terms need this many clicks in one of the periods to be flagged
+
+// ===== SEARCH TERM SOURCES =====
+// Search terms outside standard Search campaigns, tagged in the Source column. PMax only reports search
+// categories without cost, so PMax campaigns without their own rule profile qualify on clicks and conversions.
+const SEARCH_TERM_SOURCES = ['SEARCH']; // Any of 'SEARCH', 'PMAX' (search term insights), 'DSA' and 'SHOPPING'
+// Search campaigns whose keywords cover the terms of a PMax, DSA or Shopping campaign, by campaign name.
+// Unmapped campaigns are checked against every Search campaign in the account.
+const SOURCE_CAMPAIGN_MAPPING = {
+    // 'PMax - Shoes': ['Search - Shoes', 'Search - Brand']
+};
+
 // Campaign filter - leave empty to include all enabled search campaigns
 const CAMPAIGN_FILTER = ''; // e.g., 'brand' to only include campaigns containing 'brand'
 
@@ -59,660 +105,4695 @@ const CAMPAIGN_FILTER = ''; // e.g., 'brand' to only include campaigns containin
 const CAMPAIGN_EXCLUSION_FILTER = ''; // e.g., 'test' to exclude campaigns containing 'test'
 
 // Target configuration - modify these values as needed
-const TARGET_TYPE = 'ROAS'; // 'CPA' or 'ROAS'
-const TARGET_VALUE = 2; // The target value for CPA or ROAS
+const TARGET_TYPE = 'ROAS'; // 'CPA', 'ROAS', 'VALUE_PER_CONVERSION' or 'CONVERSION_RATE'
+const TARGET_VALUE = 2; // The target value, a conversion rate as a fraction (0.05 = 5%)
+
+// ===== CONVERSIONS =====
+const USE_ALL_CONVERSIONS = false; // Count all conversions (metrics.all_conversions), including secondary actions
+// Only these conversion actions count toward conversions, value and the target, by name. Each gets its own
+// conversions and value column. Leave empty to count every action. PMax insights always count every action.
+const CONVERSION_ACTIONS = [
+    // 'Purchase', 'Lead form'
+];
+
+// ===== STATISTICAL QUALIFICATION =====
+// In BAYESIAN mode the target check asks how likely the term beats the target, instead of comparing its raw CPA/ROAS.
+// Conversion rate and value per conversion are shrunk toward the campaign or ad group average, so a term
+// with 1 conversion from 5 clicks no longer looks as good as one with 40 conversions from 200 clicks.
+const QUALIFICATION_MODE = 'THRESHOLDS'; // 'THRESHOLDS' (raw CPA/ROAS) or 'BAYESIAN' (confidence of beating the target)
+const BAYESIAN_PRIOR_LEVEL = 'CAMPAIGN'; // Average the estimates are shrunk toward: 'CAMPAIGN' or 'AD_GROUP'
+const BAYESIAN_PRIOR_STRENGTH = 50; // Weight of that average in clicks, higher values need more data to move away from it
+const MIN_CONFIDENCE = 0.8; // Minimum probability (0-1) that the term beats the target
+
+// ===== RESUMABLE RUNS =====
+// Runs that get close to the execution time limit write what they have and continue on the next scheduled run
+const RESUMABLE_RUNS = true; // Save progress to a checkpoint file in Google Drive and resume from it
+const TIME_SAFETY_MARGIN_SECONDS = 180; // Stop classifying when less than this much execution time is left
+const CHECKPOINT_MAX_AGE_HOURS = 24; // Older checkpoints are discarded and the run starts over
+
+// ===== MANAGER ACCOUNT (MCC) =====
+const MCC_MODE = false; // Set to true when running from a manager account to process its child accounts
+const MCC_ACCOUNT_LABEL = ''; // Only process child accounts with this account label (optional)
+const MCC_ACCOUNT_IDS = []; // Only process these child accounts, e.g. ['123-456-7890'] (optional)
+const MCC_OUTPUT_MODE = 'COMBINED'; // 'COMBINED' (one tab with an Account column) or 'PER_ACCOUNT' (one tab per account)
+const MCC_SUMMARY_TAB = 'MCC Summary'; // Tab with opportunity counts, spend covered and AI cost per account
+const MCC_BATCH_SIZE = 50; // Accounts processed in parallel per run (1-50), the least recently processed go first
+
+// ===== EXPORT FORMATS =====
+const EXPORT_FORMATS = ['SHEET']; // Any of 'SHEET', 'EDITOR_CSV' (Google Ads Editor), 'BULK_UPLOAD' (preview only) and 'JSON'
+const EXPORT_DRIVE_FOLDER = 'Keyword Expansion Exports'; // Drive folder for CSV and JSON files, also used when the sheet export fails
+const EXPORT_USE_AVERAGE_CPC = true; // Max CPC in the Editor and bulk upload files is the term's average CPC, otherwise the ad group default
+
+// ===== RUN REPORT =====
+// Sent at the end of every run, also when the run fails
+const REPORT_EMAILS = []; // Email the run report to these addresses, e.g. ['ppc@example.com'] (optional)
+const REPORT_WEBHOOK_URL = ''; // POST the run report as JSON to this Slack or Teams incoming webhook (optional)
+const REPORT_TOP_N = 10; // Number of top opportunities listed in the report
+const REPORT_SORT_BY = 'CONVERSIONS'; // Rank the top opportunities by 'CONVERSIONS' or 'CONVERSION_VALUE'
+
+// ===== RULE PROFILES =====
+// Profiles give campaigns their own qualification rules. The first profile that matches a campaign wins,
+// campaigns without a match use the 'Default' profile built from the thresholds and target above.
+// - campaignPattern: regular expression matched against the campaign name (case-insensitive)
+// - campaignLabel: name of a campaign label (when both are set, both must match)
+// - targetType / targetValue: the profile's own target, defaults to TARGET_TYPE / TARGET_VALUE
+// - rules: { all: [...] } (AND) or { any: [...] } (OR), nested as deep as needed, with leaves like
+//   { metric: 'clicks', operator: '>=', value: 10 } or { target: true } to check the profile's target.
+//   Metrics: impressions, clicks, cost, conversions, conversionValue, cpa, roas, ctr, conversionRate, valuePerConversion
+const RULE_PROFILES = [
+    // {
+    //     name: 'Brand',
+    //     campaignPattern: 'brand',
+    //     targetType: 'CPA',
+    //     targetValue: 3,
+    //     rules: { all: [
+    //         { metric: 'clicks', operator: '>=', value: 20 },
+    //         { metric: 'ctr', operator: '>=', value: 0.15 },
+    //         { any: [{ target: true }, { metric: 'conversionRate', operator: '>=', value: 0.2 }] }
+    //     ] }
+    // }
+];
+
+// ===== AUTO-APPLY CONFIGURATION =====
+const AUTO_APPLY_KEYWORDS = false; // Set to true to add qualifying search terms as keywords in their source ad group
+const DRY_RUN = true; // Only list the planned changes in the Changes Log, nothing is changed in the account
+const AUTO_APPLY_MATCH_TYPE = 'EXACT'; // 'EXACT', 'PHRASE' or 'BOTH'
+const MAX_KEYWORDS_PER_RUN = 50; // Maximum number of keywords added per run
+const AUTO_APPLY_CLASSIFICATIONS = ['RELEVANT', 'SEMI_RELEVANT']; // Only apply terms with these classifications (without AI, unlabeled terms are applied too)
+const CHANGES_LOG_TAB = 'Changes Log'; // Tab that records every planned or applied change
+
+// ===== NEGATIVE KEYWORD MINING =====
+const MINE_NEGATIVE_KEYWORDS = false; // Set to true to also export negative keyword candidates
+const NEGATIVES_TAB = 'Negative Candidates'; // Tab name for negative keyword candidates
+const NEGATIVE_MIN_COST = 20; // Minimum cost before a poorly performing term becomes a candidate
+const NEGATIVE_TARGET_MULTIPLIER = 2; // Candidate when CPA is above target x this value, or ROAS, value per conversion or conversion rate below target / this value
+const NEGATIVE_AI_CLASSIFICATIONS = ['IRRELEVANT', 'COMPETITOR']; // AI classifications that make a term a candidate
+const PUSH_NEGATIVES_TO_SHARED_LIST = false; // Add shared-list candidates to the list below (respects DRY_RUN)
+const NEGATIVE_SHARED_LIST_NAME = 'Keyword Expansion Negatives'; // Shared negative keyword list, created if missing
+
+// ===== N-GRAM ANALYSIS =====
+// Words and phrases summed over all search terms, to find new themes and negative roots
+const NGRAM_TAB = 'N-grams'; // Tab with 1-, 2- and 3-word n-grams sorted by cost, leave empty to skip
+const NGRAM_MIN_TERMS = 2; // Only n-grams that appear in at least this many search terms
+const NGRAM_MIN_CLICKS = 10; // N-grams with fewer clicks are not compared with the target
+const NGRAM_MAX_ROWS = 5000; // Maximum number of n-grams written to the tab
+
+// ===== DUPLICATE DETECTION =====
+const COVERAGE_SCOPE = 'CAMPAIGN'; // Where existing keywords count as coverage: 'AD_GROUP', 'CAMPAIGN' or 'ACCOUNT'
+const COUNT_BROAD_COVERAGE = true; // Treat terms that contain all words of a broad match keyword as covered
+const COVERED_TAB = 'Covered Terms'; // Tab with qualifying terms skipped because they are covered, leave empty to skip
+
+// ===== AD GROUP SUGGESTIONS =====
+const SUGGEST_AD_GROUPS = true; // Suggest the best existing ad group and a match type for every opportunity
+const SUGGESTION_MIN_SIMILARITY = 0.4; // Below this similarity to every ad group a new ad group is suggested (0-1)
+const PHRASE_MIN_CONVERSIONS = 3; // Short terms with at least this many conversions are suggested as phrase match
+
+// ===== REVIEW WORKFLOW =====
+// Pick an action in the Action column of the opportunities tab, the next run applies it (respects DRY_RUN)
+const SUPPRESSED_TAB = 'Suppressed Terms'; // Hidden tab with rejected and snoozed terms
+const SNOOZE_DAYS = 30; // Snoozed terms come back after this many days
+const SUPPRESSION_CHANGE_THRESHOLD = 0.5; // Suppressed terms come back when conversions or value change by this share (0.5 = 50%)
+
+// ===== RUN HISTORY =====
+// Every qualifying term is tracked across runs, the Run Status column shows NEW, RECURRING, RESOLVED or DROPPED
+const HISTORY_TAB = 'History'; // Tab with first seen, last seen, runs qualified and latest metrics per term and campaign
+
+// ===== OUTPUT COLUMNS =====
+// Each exported row is an array in this order, use COL.<KEY> to read or write a cell.
+// The columns of the chosen conversion actions follow ROAS, they are added once the settings are loaded.
+const METRIC_COLUMNS = [
+    ['ACTION', 'Action'],
+    ['SEARCH_TERM', 'Search Term'],
+    ['STATUS', 'Status'],
+    ['RUN_STATUS', 'Run Status'],
+    ['SOURCE', 'Source'],
+    ['CAMPAIGN', 'Campaign'],
+    ['AD_GROUP', 'Ad Group'],
+    ['AD_GROUP_COUNT', 'Ad Groups'],
+    ['IMPRESSIONS', 'Impressions'],
+    ['CLICKS', 'Clicks'],
+    ['COST', 'Cost'],
+    ['CONVERSIONS', 'Conversions'],
+    ['CONVERSION_VALUE', 'Conv. Value'],
+    ['CPA', 'CPA'],
+    ['ROAS', 'ROAS']
+];
+const DETAIL_COLUMNS = [
+    ['ADJUSTED_CPA', 'Adjusted CPA'],
+    ['ADJUSTED_ROAS', 'Adjusted ROAS'],
+    ['CONFIDENCE', 'Confidence'],
+    ['TREND', 'Trend'],
+    ['CLICKS_CHANGE', 'Clicks Change'],
+    ['COST_CHANGE', 'Cost Change'],
+    ['CONVERSIONS_CHANGE', 'Conversions Change'],
+    ['ROAS_CHANGE', 'ROAS Change'],
+    ['AI_CLASSIFICATION', 'AI Classification'],
+    ['LABEL_SOURCE', 'Label Source'],
+    ['AI_CONFIDENCE', 'AI Confidence'],
+    ['AI_REASONING', 'AI Reasoning'],
+    ['LANDING_PAGE', 'Landing Page'],
+    ['SUGGESTED_AD_GROUP', 'Suggested Ad Group'],
+    ['SUGGESTED_MATCH_TYPE', 'Suggested Match Type'],
+    ['SIMILARITY', 'Similarity'],
+    ['CAMPAIGN_ID', 'Campaign ID'],
+    ['AD_GROUP_ID', 'Ad Group ID'],
+    ['CONTRIBUTING_AD_GROUPS', 'Contributing Ad Groups'],
+    ['RULE_PROFILE', 'Rule Profile'],
+    ['RULES_PASSED', 'Rules Passed'],
+    ['ACCOUNT', 'Account'],
+    ['ACCOUNT_ID', 'Account ID'],
+    ['NOTES', 'Notes']
+];
+let OUTPUT_COLUMNS = [];
+let COL = {};
+let HEADERS = [];
+
+const CHANGES_LOG_HEADERS = ['Timestamp', 'Mode', 'Change', 'Keyword', 'Match Type', 'Campaign', 'Ad Group', 'Result', 'Account'];
+
+const MCC_SUMMARY_HEADERS = ['Account ID', 'Account', 'Status', 'Search Terms Scanned', 'Opportunities', 'Spend Covered', 'AI Cost', 'Last Run', 'Error'];
+
+const COVERED_HEADERS = ['Search Term', 'Coverage', 'Matched Keyword', 'Campaign', 'Ad Group', 'Clicks', 'Cost', 'Conversions', 'Conv. Value'];
+
+const REVIEW_ACTIONS = ['Add as exact', 'Add as phrase', 'Add as negative', 'Reject', 'Snooze'];
+const CLASSIFICATION_RULES_HEADERS = ['Type', 'Pattern', 'Label', 'Notes'];
+const CLASSIFICATION_RULE_TYPES = ['TERMS', 'EXACT', 'REGEX'];
+const AI_CACHE_HEADERS = ['Search Term', 'Model', 'Context Hash', 'Classification', 'Confidence', 'Reasoning', 'Ad Group', 'Classified On', 'Cost'];
+
+const SUPPRESSED_HEADERS = ['Search Term', 'Campaign ID', 'Campaign', 'Decision', 'Decided On', 'Snooze Until', 'Cost', 'Conversions', 'Conv. Value'];
+
+const HISTORY_HEADERS = ['Search Term', 'Campaign ID', 'Campaign', 'Ad Group ID', 'Ad Group', 'Source', 'Run Status', 'First Seen', 'Last Seen',
+    'Runs Qualified', 'Impressions', 'Clicks', 'Cost', 'Conversions', 'Conv. Value'];
+
+const EDITOR_CSV_HEADERS = ['Campaign', 'Ad group', 'Keyword', 'Match type', 'Max CPC'];
+
+const TRENDING_HEADERS = ['Search Term', 'Campaign', 'Ad Group', 'Trend', 'Clicks', 'Previous Clicks', 'Clicks Change',
+    'Cost', 'Previous Cost', 'Cost Change', 'Conversions', 'Previous Conversions', 'Conversions Change', 'ROAS', 'Previous ROAS', 'ROAS Change'];
+
+const NGRAM_HEADERS = ['N-gram', 'Words', 'Search Terms', 'Impressions', 'Clicks', 'Cost', 'Conversions', 'Conv. Value', 'CPA', 'ROAS', 'Vs Target'];
+
+const NEGATIVE_HEADERS = [
+    'Search Term',
+    'Reason',
+    'Negative Keyword',
+    'Suggested Match Type',
+    'Suggested Level',
+    'Campaign',
+    'Ad Group',
+    'Impressions',
+    'Clicks',
+    'Cost',
+    'Conversions',
+    'Conv. Value',
+    'CPA',
+    'ROAS'
+];
+
+// ===== SETTINGS =====
+// Every setting below can be changed in the Settings tab, the constants above are the defaults
+const SETTING_DEFINITIONS = [
+    { name: 'TAB', type: 'string', value: TAB, description: 'Tab name for keyword opportunities' },
+    { name: 'USE_AI_CLASSIFICATION', type: 'boolean', value: USE_AI_CLASSIFICATION, description: 'Set to FALSE to skip AI classification' },
+    { name: 'AI_API_KEY_NAMED_RANGE', type: 'string', value: AI_API_KEY_NAMED_RANGE, description: 'Named range containing the API key' },
+    { name: 'AI_API_KEY_PROPERTY', type: 'string', value: AI_API_KEY_PROPERTY, description: 'Script property with the API key, used when the named range is empty' },
+    { name: 'WEBSITE_URL', type: 'string', value: WEBSITE_URL, description: 'Your website URL for content analysis (optional)' },
+    { name: 'CRAWL_MAX_PAGES', type: 'number', value: CRAWL_MAX_PAGES, description: 'Maximum number of pages fetched from the website, failed ones included' },
+    { name: 'PAGES_PER_BATCH', type: 'number', value: PAGES_PER_BATCH, description: 'Most relevant pages sent to the AI model with each batch' },
+    { name: 'AI_PROVIDER', type: 'enum', options: ['OPENAI', 'AZURE_OPENAI', 'ANTHROPIC', 'GEMINI', 'OPENAI_COMPATIBLE'], value: AI_PROVIDER, description: 'AI provider used for classification' },
+    { name: 'AI_MODEL', type: 'model', value: AI_MODEL, description: 'Model or Azure deployment name, must be listed in MODEL_PRICING in the script' },
+    { name: 'AI_BASE_URL', type: 'string', value: AI_BASE_URL, description: 'Endpoint for Azure OpenAI or an OpenAI-compatible API' },
+    { name: 'AZURE_API_VERSION', type: 'string', value: AZURE_API_VERSION, description: 'Azure OpenAI REST API version' },
+    { name: 'BATCH_SIZE', type: 'number', value: BATCH_SIZE, description: 'Number of search terms to process in each API call, at most 13' },
+    { name: 'MAX_TOTAL_COST', type: 'number', value: MAX_TOTAL_COST, description: 'Maximum total AI cost in USD' },
+    { name: 'AI_MAX_RETRIES', type: 'number', value: AI_MAX_RETRIES, description: 'Retries for rate limits, server errors and network errors' },
+    { name: 'AI_RETRY_BASE_DELAY_SECONDS', type: 'number', value: AI_RETRY_BASE_DELAY_SECONDS, description: 'Delay before the first retry, doubled for every next retry' },
+    { name: 'AI_CACHE_TTL_DAYS', type: 'number', value: AI_CACHE_TTL_DAYS, description: 'Reuse classifications for this many days, 0 turns the cache off' },
+    { name: 'CLASSIFICATION_RULES_TAB', type: 'string', value: CLASSIFICATION_RULES_TAB, description: 'Tab with the classification rules applied before the AI, leave empty to skip' },
+    { name: 'MIN_COST', type: 'number', value: MIN_COST, description: 'Minimum cost threshold (in currency units)' },
+    { name: 'MIN_CLICKS', type: 'number', value: MIN_CLICKS, description: 'Minimum clicks threshold' },
+    { name: 'MIN_CONVERSIONS', type: 'number', value: MIN_CONVERSIONS, description: 'Minimum conversions threshold' },
+    { name: 'LOOKBACK_DAYS', type: 'number', value: LOOKBACK_DAYS, description: 'Days to exclude from the end of the date range' },
+    { name: 'AGGREGATION_LEVEL', type: 'enum', options: ['AD_GROUP', 'CAMPAIGN', 'ACCOUNT'], value: AGGREGATION_LEVEL, description: 'Level at which search term metrics are summed before thresholds' },
+    { name: 'USE_AUTO_DATE_RANGE', type: 'boolean', value: USE_AUTO_DATE_RANGE, description: 'Set to FALSE to use the manual dates' },
+    { name: 'NUM_DAYS', type: 'number', value: NUM_DAYS, description: 'Total days to analyze (excluding lookback)' },
+    { name: 'MANUAL_START_DATE', type: 'date', value: MANUAL_START_DATE, description: 'Manual start date, format YYYY-MM-DD' },
+    { name: 'MANUAL_END_DATE', type: 'date', value: MANUAL_END_DATE, description: 'Manual end date, format YYYY-MM-DD' },
+    { name: 'COMPARISON_MODE', type: 'enum', options: ['NONE', 'PREVIOUS_PERIOD', 'PREVIOUS_YEAR'], value: COMPARISON_MODE, description: 'Compare with the equal-length window before, or the same dates last year' },
+    { name: 'TRENDING_TAB', type: 'string', value: TRENDING_TAB, description: 'Tab with emerging and fading search terms, leave empty to skip' },
+    { name: 'TREND_CHANGE_THRESHOLD', type: 'number', value: TREND_CHANGE_THRESHOLD, description: 'Share of click growth or decline that makes a term EMERGING or FADING' },
+    { name: 'TREND_MIN_CLICKS', type: 'number', value: TREND_MIN_CLICKS, description: 'Terms need this many clicks in one of the periods to be flagged' },
+    { name: 'SEARCH_TERM_SOURCES', type: 'list', value: SEARCH_TERM_SOURCES, description: 'Any of SEARCH, PMAX, DSA and SHOPPING, comma-separated' },
+    { name: 'CAMPAIGN_FILTER', type: 'string', value: CAMPAIGN_FILTER, description: 'Only include campaigns whose name contains this text' },
+    { name: 'CAMPAIGN_EXCLUSION_FILTER', type: 'string', value: CAMPAIGN_EXCLUSION_FILTER, description: 'Exclude campaigns whose name contains this text' },
+    { name: 'TARGET_TYPE', type: 'enum', options: ['CPA', 'ROAS', 'VALUE_PER_CONVERSION', 'CONVERSION_RATE'], value: TARGET_TYPE, description: 'CPA, ROAS, VALUE_PER_CONVERSION or CONVERSION_RATE' },
+    { name: 'TARGET_VALUE', type: 'number', value: TARGET_VALUE, description: 'The target value, a conversion rate as a fraction (0.05 = 5%)' },
+    { name: 'USE_ALL_CONVERSIONS', type: 'boolean', value: USE_ALL_CONVERSIONS, description: 'Count all conversions, including secondary conversion actions' },
+    { name: 'CONVERSION_ACTIONS', type: 'list', value: CONVERSION_ACTIONS, description: 'Only count these conversion actions, by name, comma-separated (optional)' },
+    { name: 'QUALIFICATION_MODE', type: 'enum', options: ['THRESHOLDS', 'BAYESIAN'], value: QUALIFICATION_MODE, description: 'Raw CPA/ROAS, or the confidence that the term beats the target' },
+    { name: 'BAYESIAN_PRIOR_LEVEL', type: 'enum', options: ['CAMPAIGN', 'AD_GROUP'], value: BAYESIAN_PRIOR_LEVEL, description: 'Average the estimates are shrunk toward' },
+    { name: 'BAYESIAN_PRIOR_STRENGTH', type: 'number', value: BAYESIAN_PRIOR_STRENGTH, description: 'Weight of the average in clicks' },
+    { name: 'MIN_CONFIDENCE', type: 'number', value: MIN_CONFIDENCE, description: 'Minimum probability (0-1) that the term beats the target' },
+    { name: 'AUTO_APPLY_KEYWORDS', type: 'boolean', value: AUTO_APPLY_KEYWORDS, description: 'Add qualifying search terms as keywords in their source ad group' },
+    { name: 'DRY_RUN', type: 'boolean', value: DRY_RUN, description: 'Only list planned changes in the Changes Log' },
+    { name: 'AUTO_APPLY_MATCH_TYPE', type: 'enum', options: ['EXACT', 'PHRASE', 'BOTH'], value: AUTO_APPLY_MATCH_TYPE, description: 'Match type of added keywords' },
+    { name: 'MAX_KEYWORDS_PER_RUN', type: 'number', value: MAX_KEYWORDS_PER_RUN, description: 'Maximum number of keywords added per run' },
+    { name: 'AUTO_APPLY_CLASSIFICATIONS', type: 'list', value: AUTO_APPLY_CLASSIFICATIONS, description: 'Only apply terms with these AI classifications (comma-separated)' },
+    { name: 'CHANGES_LOG_TAB', type: 'string', value: CHANGES_LOG_TAB, description: 'Tab that records every planned or applied change' },
+    { name: 'MINE_NEGATIVE_KEYWORDS', type: 'boolean', value: MINE_NEGATIVE_KEYWORDS, description: 'Also export negative keyword candidates' },
+    { name: 'NEGATIVES_TAB', type: 'string', value: NEGATIVES_TAB, description: 'Tab name for negative keyword candidates' },
+    { name: 'NEGATIVE_MIN_COST', type: 'number', value: NEGATIVE_MIN_COST, description: 'Minimum cost before a poorly performing term becomes a candidate' },
+    { name: 'NEGATIVE_TARGET_MULTIPLIER', type: 'number', value: NEGATIVE_TARGET_MULTIPLIER, description: 'Candidate when CPA is above target x this value, or another target below target / this value' },
+    { name: 'NEGATIVE_AI_CLASSIFICATIONS', type: 'list', value: NEGATIVE_AI_CLASSIFICATIONS, description: 'AI classifications that make a term a candidate (comma-separated)' },
+    { name: 'PUSH_NEGATIVES_TO_SHARED_LIST', type: 'boolean', value: PUSH_NEGATIVES_TO_SHARED_LIST, description: 'Add shared-list candidates to the shared negative keyword list' },
+    { name: 'NEGATIVE_SHARED_LIST_NAME', type: 'string', value: NEGATIVE_SHARED_LIST_NAME, description: 'Shared negative keyword list, created if missing' },
+    { name: 'NGRAM_TAB', type: 'string', value: NGRAM_TAB, description: 'Tab with 1-, 2- and 3-word n-grams sorted by cost, leave empty to skip' },
+    { name: 'NGRAM_MIN_TERMS', type: 'number', value: NGRAM_MIN_TERMS, description: 'Only n-grams that appear in at least this many search terms' },
+    { name: 'NGRAM_MIN_CLICKS', type: 'number', value: NGRAM_MIN_CLICKS, description: 'N-grams with fewer clicks are not compared with the target' },
+    { name: 'NGRAM_MAX_ROWS', type: 'number', value: NGRAM_MAX_ROWS, description: 'Maximum number of n-grams written to the tab' },
+    { name: 'COVERAGE_SCOPE', type: 'enum', options: ['AD_GROUP', 'CAMPAIGN', 'ACCOUNT'], value: COVERAGE_SCOPE, description: 'Where existing keywords count as coverage' },
+    { name: 'COUNT_BROAD_COVERAGE', type: 'boolean', value: COUNT_BROAD_COVERAGE, description: 'Treat terms that contain all words of a broad match keyword as covered' },
+    { name: 'SUGGEST_AD_GROUPS', type: 'boolean', value: SUGGEST_AD_GROUPS, description: 'Suggest the best existing ad group and a match type for every opportunity' },
+    { name: 'SUGGESTION_MIN_SIMILARITY', type: 'number', value: SUGGESTION_MIN_SIMILARITY, description: 'Below this similarity to every ad group a new ad group is suggested (0-1)' },
+    { name: 'PHRASE_MIN_CONVERSIONS', type: 'number', value: PHRASE_MIN_CONVERSIONS, description: 'Short terms with at least this many conversions are suggested as phrase match' },
+    { name: 'COVERED_TAB', type: 'string', value: COVERED_TAB, description: 'Tab with covered qualifying terms, leave empty to skip' },
+    { name: 'SNOOZE_DAYS', type: 'number', value: SNOOZE_DAYS, description: 'Snoozed terms come back after this many days' },
+    { name: 'SUPPRESSION_CHANGE_THRESHOLD', type: 'number', value: SUPPRESSION_CHANGE_THRESHOLD, description: 'Suppressed terms come back when conversions or value change by this share' },
+    { name: 'HISTORY_TAB', type: 'string', value: HISTORY_TAB, description: 'Tab with the run history of every qualifying term' },
+    { name: 'RESUMABLE_RUNS', type: 'boolean', value: RESUMABLE_RUNS, description: 'Save progress to a Drive checkpoint and resume on the next run' },
+    { name: 'TIME_SAFETY_MARGIN_SECONDS', type: 'number', value: TIME_SAFETY_MARGIN_SECONDS, description: 'Stop classifying when less execution time than this is left' },
+    { name: 'CHECKPOINT_MAX_AGE_HOURS', type: 'number', value: CHECKPOINT_MAX_AGE_HOURS, description: 'Older checkpoints are discarded and the run starts over' },
+    { name: 'MCC_MODE', type: 'boolean', value: MCC_MODE, description: 'Run from a manager account across its child accounts' },
+    { name: 'MCC_ACCOUNT_LABEL', type: 'string', value: MCC_ACCOUNT_LABEL, description: 'Only process child accounts with this account label (optional)' },
+    { name: 'MCC_ACCOUNT_IDS', type: 'list', value: MCC_ACCOUNT_IDS, description: 'Only process these child account IDs, comma-separated (optional)' },
+    { name: 'MCC_OUTPUT_MODE', type: 'enum', options: ['COMBINED', 'PER_ACCOUNT'], value: MCC_OUTPUT_MODE, description: 'One combined tab with an Account column, or one tab per account' },
+    { name: 'MCC_SUMMARY_TAB', type: 'string', value: MCC_SUMMARY_TAB, description: 'Tab with the per-account roll-up' },
+    { name: 'MCC_BATCH_SIZE', type: 'number', value: MCC_BATCH_SIZE, description: 'Accounts processed in parallel per run (1-50)' },
+    { name: 'EXPORT_FORMATS', type: 'list', value: EXPORT_FORMATS, description: 'Any of SHEET, EDITOR_CSV, BULK_UPLOAD (preview only) and JSON, comma-separated' },
+    { name: 'EXPORT_DRIVE_FOLDER', type: 'string', value: EXPORT_DRIVE_FOLDER, description: 'Drive folder for CSV and JSON files, also used when the sheet export fails' },
+    { name: 'EXPORT_USE_AVERAGE_CPC', type: 'boolean', value: EXPORT_USE_AVERAGE_CPC, description: "Use the term's average CPC as Max CPC in the Editor and bulk upload files" },
+    { name: 'REPORT_EMAILS', type: 'list', value: REPORT_EMAILS, description: 'Email the run report to these addresses, comma-separated (optional)' },
+    { name: 'REPORT_WEBHOOK_URL', type: 'string', value: REPORT_WEBHOOK_URL, description: 'POST the run report to this Slack or Teams incoming webhook (optional)' },
+    { name: 'REPORT_TOP_N', type: 'number', value: REPORT_TOP_N, description: 'Number of top opportunities listed in the report' },
+    { name: 'REPORT_SORT_BY', type: 'enum', options: ['CONVERSIONS', 'CONVERSION_VALUE'], value: REPORT_SORT_BY, description: 'Rank the top opportunities by conversions or conversion value' }
+];
+
+const SETTINGS_HEADERS = ['Setting', 'Value', 'Description'];
+
+// Settings renamed in newer versions of the script, old rows in the Settings tab are renamed in place
+const RENAMED_SETTINGS = {
+    USE_OPENAI_CLASSIFICATION: 'USE_AI_CLASSIFICATION',
+    OPENAI_API_KEY_NAMED_RANGE: 'AI_API_KEY_NAMED_RANGE',
+    OPENAI_MODEL: 'AI_MODEL'
+};
+
+const SEARCH_TERM_SOURCE_NAMES = ['SEARCH', 'PMAX', 'DSA', 'SHOPPING'];
+
+// Rule metric each target type is compared on, CPA should be lower than the target and the others higher
+const TARGET_TYPES = {
+    CPA: { metric: 'cpa', operator: '<=' },
+    ROAS: { metric: 'roas', operator: '>=' },
+    VALUE_PER_CONVERSION: { metric: 'valuePerConversion', operator: '>=' },
+    CONVERSION_RATE: { metric: 'conversionRate', operator: '>=' }
+};
+
+const RULE_METRICS = ['impressions', 'clicks', 'cost', 'conversions', 'conversionValue', 'cpa', 'roas', 'ctr', 'conversionRate', 'valuePerConversion'];
+const RULE_OPERATORS = ['>=', '>', '<=', '<', '='];
+
+// Effective configuration, loaded from the Settings tab at the start of each run
+let CONFIG = {};
 
 // Global cost tracking
 let totalCost = 0;
 let totalInputTokens = 0;
 let totalOutputTokens = 0;
 let apiCallCount = 0;
+let aiCacheHits = 0;
+let aiCacheSavings = 0;
+
+// Set once the model rejects JSON mode, later requests leave response_format out
+let aiJsonModeUnsupported = false;
+
+// Closest existing ad groups per search term, the AI picks the best home among them
+let adGroupCandidates = new Map();
+
+// Spreadsheet handle, opened or created once per run
+let spreadsheet = null;
+
+// Execution time per phase, in seconds
+let phaseTimings = [];
+
+// Suffix for per-account tabs when running as a child account of a manager account
+let accountTabSuffix = '';
+
+// Date window of the search terms in this run, a resumed run keeps the one of its checkpoint
+let runDateWindow = null;
+
+// Errors that were logged and skipped during this run, listed in the run report
+let runErrors = [];
 
 function main() {
+    let result = null;
+    let failure = null;
+    let reportInCallback = false;
+    
     try {
         // Reset cost tracking
         resetCostTracking();
+        const scriptStart = Date.now();
         
-        // Log target configuration
-        Logger.log(`Using target: ${TARGET_TYPE} ${TARGET_TYPE === 'CPA' ? '<=' : '>='} ${TARGET_VALUE}`);
-        
-        // Get date range based on configuration
-        const dateRange = getDateRange();
-        
-        // Build the search term query
-        const searchTermQuery = buildSearchTermQuery(dateRange);
-        
-        Logger.log(`Executing search term query with date range: ${dateRange}`);
-        Logger.log(`Campaign filter: ${CAMPAIGN_FILTER || 'None'}`);
-        Logger.log(`Campaign exclusion filter: ${CAMPAIGN_EXCLUSION_FILTER || 'None'}`);
-        Logger.log(`Target: ${TARGET_TYPE} ${TARGET_TYPE === 'CPA' ? '<=' : '>='} ${TARGET_VALUE}`);
-        Logger.log(`OpenAI Classification: ${USE_OPENAI_CLASSIFICATION ? 'ENABLED' : 'DISABLED'}`);
+        // Read the Settings tab on top of the defaults in this script
+        CONFIG = loadSettings();
+        setOutputColumns();
+        logEffectiveConfig(CONFIG);
+        validateRuleProfiles();
         
-        // Execute the search term query
-        const searchTermRows = AdsApp.search(searchTermQuery);
-        
-        // Process the data with campaign-level keyword checking
-        let data = processSearchTermsWithCampaignCheck(searchTermRows);
-        
-        // Apply OpenAI classification if enabled
-        if (USE_OPENAI_CLASSIFICATION && data.length > 0) {
-            data = applyOpenAIClassification(data);
+        if (CONFIG.MCC_MODE) {
+            // The manager callback reports on all child accounts
+            reportInCallback = runManagerAccount();
+            return;
         }
         
-        // Export to spreadsheet
-        exportToSheet(data);
+        result = runAccountPipeline(true);
         
         // Log cost summary
         logCostSummary();
+        logPhaseTimings(scriptStart);
         
-        Logger.log(`Script completed successfully. Found ${data.length} qualifying search terms.`);
+        if (result.partial) {
+            Logger.log(`Script stopped early with ${result.opportunities} qualifying search terms, the next run continues where it stopped.`);
+        } else {
+            Logger.log(`Script completed successfully. Found ${result.opportunities} qualifying search terms.`);
+        }
         
     } catch (e) {
         Logger.log(`Error in main function: ${e}`);
+        failure = e;
         throw e;
+    } finally {
+        if (!reportInCallback) {
+            sendRunReport(result ? [result] : [], runErrors, failure);
+        }
     }
 }
 
-function resetCostTracking() {
-    totalCost = 0;
-    totalInputTokens = 0;
-    totalOutputTokens = 0;
-    apiCallCount = 0;
-}
-
-
-
-function getDateRange() {
-    if (USE_AUTO_DATE_RANGE) {
-        // Use automatic date range with lookback
-        return getDateRangeWithLookback(NUM_DAYS, LOOKBACK_DAYS);
+function runAccountPipeline(exportResults) {
+    // Log target configuration
+    Logger.log(`Using target: ${CONFIG.TARGET_TYPE} ${TARGET_TYPES[CONFIG.TARGET_TYPE].operator} ${CONFIG.TARGET_VALUE}`);
+    
+    // Apply the review decisions made in the sheet since the last run
+    const review = timePhase('Review decisions', () => processReviewDecisions());
+    
+    Logger.log(`Campaign filter: ${CONFIG.CAMPAIGN_FILTER || 'None'}`);
+    Logger.log(`Campaign exclusion filter: ${CONFIG.CAMPAIGN_EXCLUSION_FILTER || 'None'}`);
+    Logger.log(`Target: ${CONFIG.TARGET_TYPE} ${TARGET_TYPES[CONFIG.TARGET_TYPE].operator} ${CONFIG.TARGET_VALUE}`);
+    Logger.log(`Conversions: ${CONFIG.USE_ALL_CONVERSIONS ? 'all conversions' : 'primary conversions'}${CONFIG.CONVERSION_ACTIONS.length > 0 ? ` of ${CONFIG.CONVERSION_ACTIONS.join(', ')}` : ''}`);
+    Logger.log(`Aggregation level: ${CONFIG.AGGREGATION_LEVEL}`);
+    Logger.log(`AI Classification: ${CONFIG.USE_AI_CLASSIFICATION ? `ENABLED (${CONFIG.AI_PROVIDER} ${CONFIG.AI_MODEL})` : 'DISABLED'}`);
+    Logger.log(`Keyword coverage scope: ${CONFIG.COVERAGE_SCOPE}${CONFIG.COUNT_BROAD_COVERAGE ? ' (including broad match coverage)' : ''}`);
+    Logger.log(`Negative keyword mining: ${CONFIG.MINE_NEGATIVE_KEYWORDS ? 'ENABLED' : 'DISABLED'}`);
+    Logger.log(`Auto-apply keywords: ${CONFIG.AUTO_APPLY_KEYWORDS ? `ENABLED (${CONFIG.AUTO_APPLY_MATCH_TYPE}${CONFIG.DRY_RUN ? ', dry run' : ''})` : 'DISABLED'}`);
+    
+    // Load all existing keywords in scope with a single query and index them for fast lookups
+    const keywords = timePhase('Load keyword inventory', () => loadKeywordInventory());
+    const coverageIndexes = buildCoverageIndexes(keywords);
+    
+    // Continue an interrupted run from its checkpoint, or fetch and filter the search terms
+    let state = CONFIG.RESUMABLE_RUNS ? loadCheckpoint() : null;
+    if (state) {
+        restoreCostTracking(state.costs);
+        Logger.log(`Resuming the run of ${state.createdOn} at the ${state.stage} stage (${state.data.length} search terms)`);
     } else {
-        // Use manual date range
-        return getManualDateRange(MANUAL_START_DATE, MANUAL_END_DATE);
+        state = fetchAndFilterSearchTerms(coverageIndexes);
+        saveCheckpoint(state);
     }
-}
-
-function getDateRangeWithLookback(totalDays, lookbackDays) {
-    const endDate = new Date();
-    endDate.setDate(endDate.getDate() - lookbackDays); // Exclude lookback days
+    runDateWindow = state.dateWindow;
+    const collected = state.collected;
     
-    const startDate = new Date();
-    startDate.setDate(startDate.getDate() - totalDays);
+    // Hide rejected and snoozed terms unless their performance changed materially
+    const data = filterSuppressedTerms(state.data, review.suppressed);
+    saveSuppressedTerms(review.suppressed);
     
-    const format = date => Utilities.formatDate(date, AdsApp.currentAccount().getTimeZone(), 'yyyyMMdd');
-    return `segments.date BETWEEN "${format(startDate)}" AND "${format(endDate)}"`;
-}
-
-function getManualDateRange(startDateStr, endDateStr) {
-    try {
-        // Parse the date strings
-        const startDate = new Date(startDateStr);
-        const endDate = new Date(endDateStr);
-        
-        // Validate dates
-        if (isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
-            throw new Error('Invalid date format. Please use YYYY-MM-DD format.');
-        }
-        
-        if (startDate > endDate) {
-            throw new Error('Start date cannot be after end date.');
-        }
-        
-        // Format dates for GAQL
-        const format = date => Utilities.formatDate(date, AdsApp.currentAccount().getTimeZone(), 'yyyyMMdd');
-        return `segments.date BETWEEN "${format(startDate)}" AND "${format(endDate)}"`;
-        
-    } catch (e) {
-        Logger.log(`Error with manual date range: ${e.message}`);
-        Logger.log('Falling back to automatic date range...');
-        return getDateRangeWithLookback(NUM_DAYS, LOOKBACK_DAYS);
+    // Find the best home for every term among the existing ad groups
+    if (state.stage === 'CLASSIFY' && CONFIG.SUGGEST_AD_GROUPS && data.length > 0) {
+        timePhase('Ad group suggestions', () => suggestAdGroups(data, keywords));
     }
-}
-
-function buildSearchTermQuery(dateRange) {
-    let query = `
-SELECT 
-    search_term_view.search_term,
-    search_term_view.status,
-    campaign.id,
-    campaign.name,
-    ad_group.id,
-    ad_group.name,
-    metrics.impressions,
-    metrics.clicks,
-    metrics.cost_micros,
-    metrics.conversions,
-    metrics.conversions_value
-FROM search_term_view
-WHERE ${dateRange}
-AND campaign.advertising_channel_type = "SEARCH"
-AND campaign.status = "ENABLED"`;
     
-    // Add campaign filter if specified
-    if (CAMPAIGN_FILTER && CAMPAIGN_FILTER.trim() !== '') {
-        query += `\nAND campaign.name LIKE "%${CAMPAIGN_FILTER}%"`;
+    // Read the website once per run, for the landing page column and the AI context
+    if (state.stage === 'CLASSIFY' && CONFIG.WEBSITE_URL && data.length > 0 && !state.websiteIndex) {
+        state.websiteIndex = timePhase('Website crawl', () => buildWebsiteIndex(CONFIG.WEBSITE_URL));
+        assignLandingPages(data, state.websiteIndex);
     }
     
-    // Add campaign exclusion filter if specified
-    if (CAMPAIGN_EXCLUSION_FILTER && CAMPAIGN_EXCLUSION_FILTER.trim() !== '') {
-        query += `\nAND campaign.name NOT LIKE "%${CAMPAIGN_EXCLUSION_FILTER}%"`;
+    // Label what the classification rules cover, only the terms left unlabeled go to the AI
+    if (state.stage === 'CLASSIFY' && data.length > 0) {
+        timePhase('Rule classification', () => applyRuleClassification(data));
     }
     
-    query += `\nORDER BY metrics.cost_micros DESC`;
-    
-    return query;
-}
-
-function processSearchTermsWithCampaignCheck(searchTermRows) {
-    const data = [];
-    let processedCount = 0;
-    let qualifyingCount = 0;
-    
-    // Cache to store campaign keywords to avoid repeated queries
-    const campaignKeywordsCache = new Map();
-    
-    while (searchTermRows.hasNext()) {
-        try {
-            const row = searchTermRows.next();
-            processedCount++;
-            
-            // Access fields using dot notation
-            const searchTerm = row.searchTermView && row.searchTermView.searchTerm ? row.searchTermView.searchTerm : '';
-            const status = row.searchTermView && row.searchTermView.status ? row.searchTermView.status : '';
-            const campaignId = row.campaign && row.campaign.id ? row.campaign.id : '';
-            const campaignName = row.campaign && row.campaign.name ? row.campaign.name : '';
-            const adGroupId = row.adGroup && row.adGroup.id ? row.adGroup.id : '';
-            const adGroupName = row.adGroup && row.adGroup.name ? row.adGroup.name : '';
-            
-            // Convert metrics to numbers
-            const impressions = Number(row.metrics && row.metrics.impressions ? row.metrics.impressions : 0);
-            const clicks = Number(row.metrics && row.metrics.clicks ? row.metrics.clicks : 0);
-            const costMicros = Number(row.metrics && row.metrics.costMicros ? row.metrics.costMicros : 0);
-            const conversions = Number(row.metrics && row.metrics.conversions ? row.metrics.conversions : 0);
-            const conversionValue = Number(row.metrics && row.metrics.conversionsValue ? row.metrics.conversionsValue : 0);
-            
-            // Calculate derived metrics
-            const cost = costMicros / 1000000; // Convert micros to currency
-            const cpa = conversions > 0 ? cost / conversions : 0;
-            const roas = cost > 0 ? conversionValue / cost : 0;
-            
-            // Check if search term is already a keyword in any ad group of this campaign
-            const isAlreadyKeyword = checkIfSearchTermIsKeywordInCampaign(searchTerm, campaignId, campaignKeywordsCache);
-            
-            // Check if search term meets criteria
-            if (!isAlreadyKeyword && meetsThresholds(cost, clicks, conversions, cpa, roas, status)) {
-                qualifyingCount++;
-                
-                const newRow = [
-                    searchTerm,
-                    status,
-                    campaignName,
-                    adGroupName,
-                    impressions,
-                    clicks,
-                    cost,
-                    conversions,
-                    conversionValue,
-                    cpa,
-                    roas,
-                    '', // Placeholder for AI Classification
-                    ''  // Placeholder for AI Reasoning
-                ];
-                
-                data.push(newRow);
-            }
-            
-            // Log progress every 1000 rows
-            if (processedCount % 1000 === 0) {
-                Logger.log(`Processed ${processedCount} rows, found ${qualifyingCount} qualifying terms so far`);
-            }
+    // Apply AI classification if enabled, rows classified before an interruption are kept
+    if (state.stage === 'CLASSIFY' && CONFIG.USE_AI_CLASSIFICATION && data.length > 0) {
+        const complete = timePhase('AI classification', () => applyAIClassification(data, state.websiteIndex || []));
+        
+        if (!complete && CONFIG.RESUMABLE_RUNS) {
+            // Out of time: keep the progress, show what we have and continue on the next run
+            state.data = data;
+            state.costs = getCostTracking();
+            saveCheckpoint(state);
             
-        } catch (e) {
-            Logger.log(`Error processing row ${processedCount}: ${e}`);
-            // Continue with next row
+            timePhase('Export', () => runExporters(data, review.pendingRows, getOpportunitiesTabName(), exportResults ? 'ALL' : 'ACCOUNT'));
+            Logger.log('Out of execution time. Wrote partial results, the next run continues the AI classification.');
+            return createPipelineResult(collected, data, data, review, true);
         }
     }
     
-    Logger.log(`Processed ${processedCount} search terms, found ${qualifyingCount} qualifying terms`);
-    return data;
-}
-
-function checkIfSearchTermIsKeywordInCampaign(searchTerm, campaignId, cache) {
-    // Check cache first
-    if (cache.has(campaignId)) {
-        const campaignKeywords = cache.get(campaignId);
-        return campaignKeywords.includes(searchTerm.toLowerCase());
+    if (state.stage === 'CLASSIFY' && CONFIG.SUGGEST_AD_GROUPS) {
+        refineSuggestionsWithClassifications(data);
     }
     
-    // If not in cache, get all keywords for this campaign
-    const campaignKeywords = getAllKeywordsInCampaign(campaignId);
-    cache.set(campaignId, campaignKeywords);
+    state.stage = 'EXPORT';
+    state.data = data;
+    state.costs = getCostTracking();
+    saveCheckpoint(state);
     
-    return campaignKeywords.includes(searchTerm.toLowerCase());
-}
-
-function getAllKeywordsInCampaign(campaignId) {
-    const keywords = [];
+    // Compare with earlier runs, terms that stopped qualifying are shown once as RESOLVED or DROPPED.
+    // A run resumed after the history was written reuses its result, so the run is not counted twice.
+    if (!state.historyWritten) {
+        state.closedRows = timePhase('Run history', () => updateRunHistory(data, coverageIndexes, review.suppressed));
+        state.historyWritten = true;
+        saveCheckpoint(state);
+    }
+    const rows = data.concat(state.closedRows);
     
-    try {
-        // Get campaign name first
-        const campaign = AdsApp.campaigns()
-            .withCondition(`campaign.id = ${campaignId}`)
-            .get()
-            .next();
-        const campaignName = campaign.getName();
-        
-        // Check if campaign should be excluded
-        if (CAMPAIGN_EXCLUSION_FILTER && CAMPAIGN_EXCLUSION_FILTER.trim() !== '' && 
-            campaignName.toLowerCase().includes(CAMPAIGN_EXCLUSION_FILTER.toLowerCase())) {
-            Logger.log(`Skipping excluded campaign "${campaignName}" (contains "${CAMPAIGN_EXCLUSION_FILTER}")`);
-            return keywords;
-        }
-        
-        // Get all ad groups in this campaign
-        const adGroups = AdsApp.adGroups()
-            .withCondition(`campaign.id = ${campaignId}`)
-            .get();
-        
-        while (adGroups.hasNext()) {
-            const adGroup = adGroups.next();
-            
-            // Get all keywords in this ad group
-            const adGroupKeywords = adGroup.keywords()
-                .withCondition('Status = ENABLED')
-                .get();
+    // Export in every configured format, the sheet keeps the rows that are still waiting for a decision.
+    // Child accounts of a manager account only run the exports that need the account, the manager writes the rest.
+    timePhase('Export', () => runExporters(rows, review.pendingRows, getOpportunitiesTabName(), exportResults ? 'ALL' : 'ACCOUNT'));
+    
+    // Export negative keyword candidates, including terms the AI or a rule labeled as irrelevant
+    if (CONFIG.MINE_NEGATIVE_KEYWORDS) {
+        timePhase('Negative keywords', () => {
+            addAINegativeCandidates(collected.negativeCandidates, data);
+            const negatives = dedupeNegativeCandidates(collected.negativeCandidates);
+            exportNegativeCandidates(negatives);
             
-            while (adGroupKeywords.hasNext()) {
-                const keyword = adGroupKeywords.next();
-                keywords.push(keyword.getText().toLowerCase());
+            if (CONFIG.PUSH_NEGATIVES_TO_SHARED_LIST) {
+                pushNegativesToSharedList(negatives);
             }
-        }
-        
-        Logger.log(`Found ${keywords.length} keywords in campaign "${campaignName}"`);
-        
-    } catch (e) {
-        Logger.log(`Error getting keywords for campaign ${campaignId}: ${e}`);
+        });
     }
     
-    return keywords;
+    // Add qualifying terms as keywords if auto-apply is enabled
+    if (CONFIG.AUTO_APPLY_KEYWORDS && data.length > 0) {
+        timePhase('Auto-apply keywords', () => applyKeywordOpportunities(data));
+    }
+    
+    clearCheckpoint();
+    return createPipelineResult(collected, data, rows, review, false);
 }
 
-function meetsThresholds(cost, clicks, conversions, cpa, roas, status) {
-    // Check if already added as keyword (status = 'ADDED') or excluded as negative (status = 'EXCLUDED')
-    if (status === 'ADDED' || status === 'EXCLUDED') {
-        return false;
+function fetchAndFilterSearchTerms(coverageIndexes) {
+    // Get date range based on configuration
+    const dateWindow = getDateWindow();
+    const dateRange = formatDateCondition(dateWindow);
+    
+    Logger.log(`Executing search term queries (${CONFIG.SEARCH_TERM_SOURCES.join(', ')}) with date range: ${dateRange}`);
+    
+    const profileResolver = createRuleProfileResolver();
+    
+    // Execute the search term query and process the data with keyword coverage checking,
+    // collecting covered terms and poor performers on the side
+    const collected = { negativeCandidates: [], coveredTerms: [], scannedCount: 0 };
+    
+    // The earlier window is summed the same way, so every term is compared with its own past
+    let previousAggregates = null;
+    if (CONFIG.COMPARISON_MODE !== 'NONE') {
+        const comparisonRange = formatDateCondition(getComparisonWindow(dateWindow));
+        Logger.log(`Executing comparison query with date range: ${comparisonRange}`);
+        previousAggregates = timePhase('Fetch comparison period', () => fetchSearchTermAggregates(comparisonRange));
     }
     
-    // Check basic thresholds
-    if (cost < MIN_COST) return false;
-    if (clicks < MIN_CLICKS) return false;
-    if (conversions < MIN_CONVERSIONS) return false;
+    const data = timePhase('Fetch and filter search terms', () => {
+        const aggregates = fetchSearchTermAggregates(dateRange);
+        return processSearchTermsWithCampaignCheck(aggregates, coverageIndexes, profileResolver, collected, previousAggregates);
+    });
     
-    // Check target threshold
-    if (TARGET_TYPE === 'CPA') {
-        if (cpa > TARGET_VALUE) return false; // CPA should be lower than target
-    } else if (TARGET_TYPE === 'ROAS') {
-        if (roas < TARGET_VALUE) return false; // ROAS should be higher than target
+    if (CONFIG.COVERED_TAB) {
+        exportCoveredTerms(collected.coveredTerms);
     }
     
-    return true;
+    return {
+        stage: 'CLASSIFY',
+        createdOn: Utilities.formatDate(new Date(), AdsApp.currentAccount().getTimeZone(), 'yyyy-MM-dd HH:mm:ss'),
+        createdAt: Date.now(),
+        dateWindow: dateWindow,
+        settings: CONFIG,
+        data: data,
+        collected: collected,
+        costs: getCostTracking()
+    };
 }
 
-function applyOpenAIClassification(data) {
-    if (!USE_OPENAI_CLASSIFICATION || data.length === 0) {
-        return data;
-    }
-    
+function createPipelineResult(collected, data, rows, review, partial) {
+    const account = AdsApp.currentAccount();
+    return {
+        accountId: account.getCustomerId(),
+        accountName: account.getName(),
+        partial: partial,
+        scanned: collected.scannedCount,
+        opportunities: data.length,
+        rows: rows,
+        pendingRows: review.pendingRows,
+        spendCovered: data.reduce((sum, row) => sum + row[COL.COST], 0),
+        aiCost: totalCost,
+        newOpportunities: data.filter(row => row[COL.RUN_STATUS] === 'NEW').length,
+        topOpportunities: getTopOpportunities(data)
+    };
+}
+
+function getTopOpportunities(data) {
+    const sortColumn = CONFIG.REPORT_SORT_BY === 'CONVERSION_VALUE' ? COL.CONVERSION_VALUE : COL.CONVERSIONS;
+    return data.slice()
+        .sort((a, b) => b[sortColumn] - a[sortColumn] || b[COL.COST] - a[COL.COST])
+        .slice(0, CONFIG.REPORT_TOP_N)
+        .map(row => ({
+            searchTerm: row[COL.SEARCH_TERM],
+            campaign: row[COL.CAMPAIGN],
+            account: row[COL.ACCOUNT],
+            conversions: row[COL.CONVERSIONS],
+            conversionValue: row[COL.CONVERSION_VALUE],
+            cost: row[COL.COST]
+        }));
+}
+
+function hasTimeLeft() {
+    return AdsApp.getExecutionInfo().getRemainingTime() > CONFIG.TIME_SAFETY_MARGIN_SECONDS;
+}
+
+function getCheckpointFileName() {
+    return `Keyword Expansion Checkpoint - ${AdsApp.currentAccount().getCustomerId()}.json`;
+}
+
+function loadCheckpoint() {
     try {
-        // Get OpenAI API key
-        const apiKey = getOpenAIAPIKey();
-        if (!apiKey) {
-            Logger.log('OpenAI API key not found. Skipping AI classification.');
-            return data;
+        const files = DriveApp.getFilesByName(getCheckpointFileName());
+        if (!files.hasNext()) {
+            return null;
         }
         
-        // Get website content if URL is provided
-        const websiteContent = WEBSITE_URL ? getWebsiteContent(WEBSITE_URL) : '';
+        const file = files.next();
+        const state = JSON.parse(file.getBlob().getDataAsString());
         
-        // Estimate costs before processing
-        const estimatedCost = estimateOpenAICosts(data.length, websiteContent);
-        Logger.log(`Estimated OpenAI cost: $${estimatedCost.toFixed(4)}`);
-        
-        if (estimatedCost > MAX_TOTAL_COST) {
-            Logger.log(`Estimated cost ($${estimatedCost.toFixed(4)}) exceeds maximum ($${MAX_TOTAL_COST}). Skipping AI classification.`);
-            return data;
+        // A checkpoint that is too old no longer matches the account, start over
+        if (Date.now() - state.createdAt > CONFIG.CHECKPOINT_MAX_AGE_HOURS * 3600 * 1000) {
+            Logger.log(`Discarding the checkpoint of ${state.createdOn}, it is older than ${CONFIG.CHECKPOINT_MAX_AGE_HOURS} hours`);
+            file.setTrashed(true);
+            return null;
         }
         
-        // Process search terms in batches
-        for (let i = 0; i < data.length; i += BATCH_SIZE) {
-            const batch = data.slice(i, i + BATCH_SIZE);
-            const batchResults = classifySearchTermsBatch(batch, apiKey, websiteContent);
-            
-            // Update the data with classification results
-            for (let j = 0; j < batchResults.length; j++) {
-                if (i + j < data.length) {
-                    data[i + j][11] = batchResults[j].classification; // AI Classification
-                    data[i + j][12] = batchResults[j].reasoning;      // AI Reasoning
-                }
-            }
-            
-            // Add delay between batches to avoid rate limits
-            if (i + BATCH_SIZE < data.length) {
-                Utilities.sleep(1000); // 1 second delay
-            }
-            
-            Logger.log(`Processed batch ${Math.floor(i/BATCH_SIZE) + 1}/${Math.ceil(data.length/BATCH_SIZE)}`);
+        // The saved terms were selected with the settings of that run, changed ones need a new selection.
+        // The automatic date window moves every day, the resumed run keeps the window of the checkpoint.
+        if (JSON.stringify(state.settings) !== JSON.stringify(CONFIG)) {
+            Logger.log(`Discarding the checkpoint of ${state.createdOn}, the settings changed since`);
+            file.setTrashed(true);
+            return null;
         }
         
-        Logger.log(`AI classification completed for ${data.length} search terms`);
-        
+        return state;
     } catch (e) {
-        Logger.log(`Error in AI classification: ${e.message}`);
-        Logger.log('Continuing without AI classification...');
+        logError(`Error loading the checkpoint, starting a new run: ${e.message}`);
+        return null;
     }
-    
-    return data;
 }
 
-function getOpenAIAPIKey() {
+function saveCheckpoint(state) {
+    if (!CONFIG.RESUMABLE_RUNS) {
+        return;
+    }
+    
     try {
-        const ss = SpreadsheetApp.openByUrl(SHEET_URL);
-        const apiKeyRange = ss.getRangeByName(OPENAI_API_KEY_NAMED_RANGE);
-        if (!apiKeyRange) {
-            Logger.log(`Named range '${OPENAI_API_KEY_NAMED_RANGE}' not found in the spreadsheet`);
-            return null;
+        const content = JSON.stringify(state);
+        const files = DriveApp.getFilesByName(getCheckpointFileName());
+        if (files.hasNext()) {
+            files.next().setContent(content);
+        } else {
+            DriveApp.createFile(getCheckpointFileName(), content, MimeType.PLAIN_TEXT);
         }
-        return apiKeyRange.getValue();
+        Logger.log(`Saved checkpoint at the ${state.stage} stage`);
     } catch (e) {
-        Logger.log(`Error getting OpenAI API key: ${e.message}`);
-        return null;
+        logError(`Error saving the checkpoint: ${e.message}`);
     }
 }
 
-function getWebsiteContent(url) {
+function clearCheckpoint() {
+    if (!CONFIG.RESUMABLE_RUNS) {
+        return;
+    }
+    
     try {
-        const response = UrlFetchApp.fetch(url, {
-            muteHttpExceptions: true,
-            followRedirects: true
-        });
-        
-        if (response.getResponseCode() === 200) {
-            const html = response.getContentText();
-            
-            // Extract text content (simplified - could be enhanced)
-            const textContent = html
-                .replace(/<script[^>]*>[\s\S]*?<\/script>/gi, '') // Remove scripts
-                .replace(/<style[^>]*>[\s\S]*?<\/style>/gi, '')   // Remove styles
-                .replace(/<[^>]+>/g, ' ')                          // Remove HTML tags
-                .replace(/\s+/g, ' ')                              // Normalize whitespace
-                .trim()
-                .substring(0, 2000); // Limit to 2000 characters
-            
-            Logger.log(`Extracted ${textContent.length} characters from website`);
-            return textContent;
-        } else {
-            Logger.log(`Failed to fetch website content. Response code: ${response.getResponseCode()}`);
-            return '';
+        const files = DriveApp.getFilesByName(getCheckpointFileName());
+        while (files.hasNext()) {
+            files.next().setTrashed(true);
         }
     } catch (e) {
-        Logger.log(`Error fetching website content: ${e.message}`);
-        return '';
+        logError(`Error removing the checkpoint: ${e.message}`);
     }
 }
 
-function estimateOpenAICosts(searchTermCount, websiteContent) {
-    const avgTokensPerTerm = 50; // Average tokens per search term
-    const websiteTokens = websiteContent.length / 4; // Rough estimate: 4 characters per token
-    const totalInputTokens = (avgTokensPerTerm * searchTermCount) + websiteTokens;
-    const totalOutputTokens = searchTermCount * 20; // Average 20 tokens per response
+function runManagerAccount() {
+    if (typeof AdsManagerApp === 'undefined') {
+        throw new Error('MCC_MODE is enabled, but the script is not running in a manager account');
+    }
     
-    const pricing = OPENAI_PRICING[OPENAI_MODEL];
-    const inputCost = (totalInputTokens / 1000) * pricing.input;
-    const outputCost = (totalOutputTokens / 1000) * pricing.output;
+    // Children write their side tabs to the same spreadsheet, so it has to exist before they start
+    const spreadsheetUrl = getSpreadsheet().getUrl();
+    const lastRuns = new Map();
+    readSummaryRecords().forEach(record => lastRuns.set(String(record['Account ID']), String(record['Last Run'] || '')));
     
-    return inputCost + outputCost;
+    let selector = AdsManagerApp.accounts();
+    if (CONFIG.MCC_ACCOUNT_IDS.length > 0) {
+        selector = selector.withIds(CONFIG.MCC_ACCOUNT_IDS);
+    }
+    if (CONFIG.MCC_ACCOUNT_LABEL) {
+        selector = selector.withCondition(`LabelNames CONTAINS '${CONFIG.MCC_ACCOUNT_LABEL}'`);
+    }
+    
+    const accountIds = [];
+    const accounts = selector.get();
+    while (accounts.hasNext()) {
+        accountIds.push(accounts.next().getCustomerId());
+    }
+    
+    // Accounts that were never processed go first, then the ones processed longest ago
+    accountIds.sort((a, b) => (lastRuns.get(a) || '').localeCompare(lastRuns.get(b) || ''));
+    const batch = accountIds.slice(0, CONFIG.MCC_BATCH_SIZE);
+    
+    if (batch.length === 0) {
+        Logger.log('MCC: no child accounts match MCC_ACCOUNT_IDS and MCC_ACCOUNT_LABEL');
+        return false;
+    }
+    
+    Logger.log(`MCC: processing ${batch.length} of ${accountIds.length} child accounts (${CONFIG.MCC_OUTPUT_MODE} output)`);
+    AdsManagerApp.accounts()
+        .withIds(batch)
+        .executeInParallel('processChildAccount', 'processManagerResults', JSON.stringify({ spreadsheetUrl: spreadsheetUrl }));
+    return true;
 }
 
-function classifySearchTermsBatch(searchTerms, apiKey, websiteContent) {
-    const results = [];
+function processChildAccount(input) {
+    const params = JSON.parse(input);
+    const account = AdsApp.currentAccount();
     
     try {
-        // Create prompt for the batch
-        const prompt = createClassificationPrompt(searchTerms, websiteContent);
+        resetCostTracking();
+        const scriptStart = Date.now();
         
-        // Call OpenAI API
-        const response = callOpenAIAPI(prompt, apiKey);
+        spreadsheet = SpreadsheetApp.openByUrl(params.spreadsheetUrl);
+        CONFIG = loadSettings();
+        setOutputColumns();
+        validateRuleProfiles();
+        accountTabSuffix = account.getCustomerId();
         
-        // Parse response
-        const classifications = parseClassificationResponse(response, searchTerms.length);
+        const result = runAccountPipeline(false);
         
-        return classifications;
+        logCostSummary();
+        logPhaseTimings(scriptStart);
+        
+        result.spreadsheetUrl = params.spreadsheetUrl;
+        result.errors = runErrors;
+        return JSON.stringify(result);
         
     } catch (e) {
-        Logger.log(`Error classifying batch: ${e.message}`);
-        // Return default classifications for this batch
-        return searchTerms.map(() => ({
-            classification: 'REVIEW',
-            reasoning: 'Error in AI classification - manual review required'
-        }));
+        // Reported as an error in the summary tab instead of stopping the other accounts
+        Logger.log(`Error processing account ${account.getCustomerId()}: ${e}`);
+        return JSON.stringify({
+            accountId: account.getCustomerId(),
+            accountName: account.getName(),
+            spreadsheetUrl: params.spreadsheetUrl,
+            error: e.message,
+            errors: runErrors
+        });
     }
 }
 
-function createClassificationPrompt(searchTerms, websiteContent) {
-    const searchTermsList = searchTerms.map(term => term[0]).join('\n- ');
+function processManagerResults(results) {
+    runErrors = [];
+    let outcomes = [];
+    let failure = null;
     
-    let prompt = `Analyze the relevance of these search terms to this business:
-
-SEARCH TERMS:
-- ${searchTermsList}
+    try {
+        outcomes = collectManagerOutcomes(results);
+    } catch (e) {
+        Logger.log(`Error in the MCC callback: ${e}`);
+        failure = e;
+        throw e;
+    } finally {
+        // Child results carry their own errors, a failed account also reports why it failed
+        const accountResults = outcomes.map(outcome => Object.assign({ accountId: outcome.accountId }, outcome.value || {}, { error: outcome.error }));
+        const errors = runErrors.slice();
+        accountResults.forEach(result => {
+            (result.errors || []).forEach(message => errors.push(`${result.accountName || result.accountId}: ${message}`));
+        });
+        sendRunReport(accountResults, errors, failure);
+    }
+}
+
+function collectManagerOutcomes(results) {
+    const outcomes = results.map(result => {
+        let value = null;
+        try {
+            value = result.getReturnValue() ? JSON.parse(result.getReturnValue()) : null;
+        } catch (e) {
+            logError(`Error reading the result of account ${result.getCustomerId()}: ${e.message}`);
+        }
+        
+        const error = result.getStatus() !== 'OK' ? String(result.getError() || result.getStatus()) : (value ? value.error : 'No result returned');
+        return {
+            accountId: result.getCustomerId(),
+            status: error ? 'ERROR' : 'OK',
+            error: error || '',
+            value: value
+        };
+    });
+    
+    // The callback runs in a fresh context, the spreadsheet and settings have to be loaded again
+    const withUrl = outcomes.find(outcome => outcome.value && outcome.value.spreadsheetUrl);
+    if (withUrl) {
+        spreadsheet = SpreadsheetApp.openByUrl(withUrl.value.spreadsheetUrl);
+    }
+    CONFIG = loadSettings();
+    setOutputColumns();
+    
+    const succeeded = outcomes.filter(outcome => outcome.status === 'OK');
+    
+    try {
+        if (CONFIG.MCC_OUTPUT_MODE === 'PER_ACCOUNT') {
+            succeeded.forEach(outcome => {
+                runExporters(outcome.value.rows, outcome.value.pendingRows, `${CONFIG.TAB} - ${outcome.accountId}`, 'MANAGER');
+            });
+        } else {
+            exportCombinedResults(succeeded);
+        }
+    } catch (e) {
+        logError(`Error writing the MCC results: ${e.message}`);
+    }
+    
+    writeManagerSummary(outcomes);
+    
+    const aiCost = succeeded.reduce((sum, outcome) => sum + outcome.value.aiCost, 0);
+    Logger.log(`MCC: ${succeeded.length} of ${outcomes.length} accounts processed, AI cost $${aiCost.toFixed(4)}`);
+    outcomes.filter(outcome => outcome.status !== 'OK').forEach(outcome => {
+        Logger.log(`MCC: account ${outcome.accountId} failed: ${outcome.error}`);
+    });
+    return outcomes;
+}
+
+function exportCombinedResults(succeeded) {
+    const processedIds = new Set(succeeded.map(outcome => outcome.accountId));
+    
+    // Rows of accounts outside this batch, or that failed, stay in the tab until their next run
+    const sheet = getSpreadsheet().getSheetByName(CONFIG.TAB);
+    const keptRows = sheet ? readSheetRecords(sheet)
+        .filter(record => record['Search Term'] && !processedIds.has(String(record['Account ID'])))
+        .map(record => recordToRow(record)) : [];
+    
+    let data = [];
+    let pendingRows = keptRows;
+    succeeded.forEach(outcome => {
+        data = data.concat(outcome.value.rows);
+        pendingRows = pendingRows.concat(outcome.value.pendingRows);
+    });
+    data.sort((a, b) => b[COL.COST] - a[COL.COST]);
+    
+    runExporters(data, pendingRows, CONFIG.TAB, 'MANAGER');
+}
+
+function readSummaryRecords() {
+    try {
+        const sheet = getSpreadsheet().getSheetByName(CONFIG.MCC_SUMMARY_TAB);
+        return sheet ? readSheetRecords(sheet).filter(record => record['Account ID'] && record['Account ID'] !== 'Total') : [];
+    } catch (e) {
+        logError(`Error reading the ${CONFIG.MCC_SUMMARY_TAB} tab: ${e.message}`);
+        return [];
+    }
+}
+
+function writeManagerSummary(outcomes) {
+    const runTime = Utilities.formatDate(new Date(), AdsApp.currentAccount().getTimeZone(), 'yyyy-MM-dd HH:mm:ss');
+    
+    // Accounts outside this batch keep the figures of their last run
+    const rowsById = new Map();
+    readSummaryRecords().forEach(record => {
+        rowsById.set(String(record['Account ID']), MCC_SUMMARY_HEADERS.map(header => record[header] !== undefined ? record[header] : ''));
+    });
+    
+    outcomes.forEach(outcome => {
+        const previous = rowsById.get(outcome.accountId);
+        const value = outcome.value || {};
+        const accountName = value.accountName || (previous ? previous[1] : '');
+        
+        if (outcome.status === 'OK') {
+            rowsById.set(outcome.accountId, [outcome.accountId, accountName, value.partial ? 'PARTIAL' : 'OK', value.scanned, value.opportunities,
+                value.spendCovered, value.aiCost, runTime, '']);
+        } else {
+            rowsById.set(outcome.accountId, [outcome.accountId, accountName, 'ERROR', '', '', '', '', runTime, outcome.error]);
+        }
+    });
+    
+    const rows = Array.from(rowsById.values());
+    const sum = index => rows.reduce((total, row) => total + (Number(row[index]) || 0), 0);
+    const okCount = rows.filter(row => row[2] !== 'ERROR').length;
+    rows.push(['Total', '', `${okCount}/${rows.length} OK`, sum(3), sum(4), sum(5), sum(6), runTime, '']);
+    
+    try {
+        const sheet = getOrCreateSheet(CONFIG.MCC_SUMMARY_TAB, MCC_SUMMARY_HEADERS);
+        sheet.clear();
+        // Plain text keeps the Last Run timestamps sortable
+        sheet.getRange(1, MCC_SUMMARY_HEADERS.indexOf('Last Run') + 1, rows.length + 1, 1).setNumberFormat('@');
+        sheet.getRange(1, 1, 1, MCC_SUMMARY_HEADERS.length).setValues([MCC_SUMMARY_HEADERS]);
+        sheet.getRange(2, 1, rows.length, MCC_SUMMARY_HEADERS.length).setValues(rows);
+        Logger.log(`Wrote ${rows.length - 1} accounts to the ${CONFIG.MCC_SUMMARY_TAB} tab`);
+    } catch (e) {
+        logError(`Error writing to ${CONFIG.MCC_SUMMARY_TAB}: ${e.message}`);
+        rows.forEach(row => Logger.log(row.join(" | ")));
+    }
+}
+
+function resetCostTracking() {
+    totalCost = 0;
+    totalInputTokens = 0;
+    totalOutputTokens = 0;
+    apiCallCount = 0;
+    aiCacheHits = 0;
+    aiCacheSavings = 0;
+    phaseTimings = [];
+    runErrors = [];
+}
+
+function getCostTracking() {
+    return {
+        totalCost: totalCost,
+        totalInputTokens: totalInputTokens,
+        totalOutputTokens: totalOutputTokens,
+        apiCallCount: apiCallCount,
+        aiCacheHits: aiCacheHits,
+        aiCacheSavings: aiCacheSavings
+    };
+}
+
+function restoreCostTracking(costs) {
+    // The AI budget covers the whole run, including the parts before an interruption
+    totalCost = costs.totalCost;
+    totalInputTokens = costs.totalInputTokens;
+    totalOutputTokens = costs.totalOutputTokens;
+    apiCallCount = costs.apiCallCount;
+    aiCacheHits = costs.aiCacheHits;
+    aiCacheSavings = costs.aiCacheSavings;
+}
+
+function timePhase(name, phase) {
+    const start = Date.now();
+    const result = phase();
+    const seconds = (Date.now() - start) / 1000;
+    
+    phaseTimings.push({ name: name, seconds: seconds });
+    Logger.log(`[Timing] ${name}: ${seconds.toFixed(1)}s`);
+    return result;
+}
+
+function logPhaseTimings(scriptStart) {
+    Logger.log('=== EXECUTION TIME SUMMARY ===');
+    phaseTimings.forEach(timing => Logger.log(`${timing.name}: ${timing.seconds.toFixed(1)}s`));
+    Logger.log(`Total: ${((Date.now() - scriptStart) / 1000).toFixed(1)}s`);
+    Logger.log('==============================');
+}
+
+
+
+function getDateWindow() {
+    if (CONFIG.USE_AUTO_DATE_RANGE) {
+        // Use automatic date range with lookback
+        return getDateRangeWithLookback(CONFIG.NUM_DAYS, CONFIG.LOOKBACK_DAYS);
+    } else {
+        // Use manual date range
+        return getManualDateRange(CONFIG.MANUAL_START_DATE, CONFIG.MANUAL_END_DATE);
+    }
+}
+
+function getDateRangeWithLookback(totalDays, lookbackDays) {
+    // Count days from today in the account's timezone, not the server's
+    const today = Utilities.formatDate(new Date(), AdsApp.currentAccount().getTimeZone(), 'yyyy-MM-dd');
+    return {
+        start: addDays(today, -totalDays),
+        end: addDays(today, -lookbackDays) // Exclude lookback days
+    };
+}
+
+function getManualDateRange(startDateStr, endDateStr) {
+    try {
+        // Dates are calendar days in the account's timezone, so they are used as written
+        if (!isValidDateString(startDateStr) || !isValidDateString(endDateStr)) {
+            throw new Error('Invalid date format. Please use YYYY-MM-DD format.');
+        }
+        
+        if (startDateStr > endDateStr) {
+            throw new Error('Start date cannot be after end date.');
+        }
+        
+        return { start: startDateStr, end: endDateStr };
+        
+    } catch (e) {
+        logError(`Error with manual date range: ${e.message}`);
+        Logger.log('Falling back to automatic date range...');
+        return getDateRangeWithLookback(CONFIG.NUM_DAYS, CONFIG.LOOKBACK_DAYS);
+    }
+}
+
+function getComparisonWindow(dateWindow) {
+    if (CONFIG.COMPARISON_MODE === 'PREVIOUS_YEAR') {
+        return { start: shiftYears(dateWindow.start, -1), end: shiftYears(dateWindow.end, -1) };
+    }
+    
+    // The equal-length window that ends the day before the current one starts
+    const days = getDaysBetween(dateWindow.start, dateWindow.end);
+    const end = addDays(dateWindow.start, -1);
+    return { start: addDays(end, -days), end: end };
+}
+
+function formatDateCondition(dateWindow) {
+    // GAQL takes the dates without dashes
+    return `segments.date BETWEEN "${dateWindow.start.replace(/-/g, '')}" AND "${dateWindow.end.replace(/-/g, '')}"`;
+}
+
+function parseDateString(text) {
+    // Midnight UTC, so day arithmetic never crosses a daylight saving change
+    const parts = text.split('-').map(Number);
+    return new Date(Date.UTC(parts[0], parts[1] - 1, parts[2]));
+}
+
+function getDaysBetween(startDateString, endDateString) {
+    return Math.round((parseDateString(endDateString) - parseDateString(startDateString)) / (24 * 60 * 60 * 1000));
+}
+
+function shiftYears(dateString, years) {
+    const parts = dateString.split('-').map(Number);
+    // 29 February becomes 28 February in years without a leap day
+    const lastDay = new Date(Date.UTC(parts[0] + years, parts[1], 0)).getUTCDate();
+    const date = new Date(Date.UTC(parts[0] + years, parts[1] - 1, Math.min(parts[2], lastDay)));
+    return date.toISOString().substring(0, 10);
+}
+
+function buildSearchTermQuery(dateRange, channelType) {
+    let query = `
+SELECT 
+    search_term_view.search_term,
+    search_term_view.status,
+    campaign.id,
+    campaign.name,
+    ad_group.id,
+    ad_group.name,
+    metrics.impressions,
+    metrics.clicks,
+    metrics.cost_micros${getConversionSelectFields(channelType)}
+FROM search_term_view
+WHERE ${dateRange}
+AND campaign.status = "ENABLED"`;
+    
+    query += buildChannelConditions(channelType);
+    query += buildCampaignFilterConditions();
+    query += `\nORDER BY metrics.cost_micros DESC`;
+    
+    return query;
+}
+
+function buildDynamicSearchTermQuery(dateRange) {
+    let query = `
+SELECT
+    dynamic_search_ads_search_term_view.search_term,
+    campaign.id,
+    campaign.name,
+    ad_group.id,
+    ad_group.name,
+    metrics.impressions,
+    metrics.clicks,
+    metrics.cost_micros${getConversionSelectFields('DSA')}
+FROM dynamic_search_ads_search_term_view
+WHERE ${dateRange}
+AND campaign.status = "ENABLED"`;
+    
+    query += buildCampaignFilterConditions();
+    query += `\nORDER BY metrics.cost_micros DESC`;
+    
+    return query;
+}
+
+function getPerformanceMaxCampaigns() {
+    const campaigns = [];
+    const rows = AdsApp.search(`
+SELECT
+    campaign.id,
+    campaign.name
+FROM campaign
+WHERE campaign.advertising_channel_type = "PERFORMANCE_MAX"
+AND campaign.status = "ENABLED"${buildCampaignFilterConditions()}`);
+    
+    while (rows.hasNext()) {
+        const row = rows.next();
+        campaigns.push({ id: String(row.campaign.id), name: row.campaign.name });
+    }
+    
+    Logger.log(`Found ${campaigns.length} Performance Max campaigns`);
+    return campaigns;
+}
+
+function buildSearchTermInsightQuery(dateRange, campaignId) {
+    // Search category insights report no cost and no ad group
+    return `
+SELECT
+    campaign_search_term_insight.category_label,
+    metrics.impressions,
+    metrics.clicks${getConversionSelectFields('PMAX')}
+FROM campaign_search_term_insight
+WHERE ${dateRange}
+AND campaign_search_term_insight.campaign_id = "${campaignId}"`;
+}
+
+function buildChannelConditions(channelType) {
+    let conditions = `\nAND campaign.advertising_channel_type = "${channelType}"`;
+    
+    // DSA terms come from their own view when that source is enabled, without it they stay here as before
+    if (channelType === 'SEARCH' && CONFIG.SEARCH_TERM_SOURCES.includes('DSA')) {
+        conditions += `\nAND ad_group.type != "SEARCH_DYNAMIC_ADS"`;
+    }
+    
+    return conditions;
+}
+
+function getConversionMetricFields() {
+    return CONFIG.USE_ALL_CONVERSIONS ?
+        ['metrics.all_conversions', 'metrics.all_conversions_value'] :
+        ['metrics.conversions', 'metrics.conversions_value'];
+}
+
+function getConversionSelectFields(source) {
+    // Chosen conversion actions are counted from a separate query, segmented by conversion action
+    const fields = usesConversionActionQuery(source) ? [] : getConversionMetricFields();
+    return fields.map(field => `,\n    ${field}`).join('');
+}
+
+function usesConversionActionQuery(source) {
+    // Search term insights cannot be segmented by conversion action
+    return CONFIG.CONVERSION_ACTIONS.length > 0 && source !== 'PMAX';
+}
+
+function buildConversionActionQuery(dateRange, source) {
+    // Conversion segments only combine with conversion metrics, clicks and cost come from the main query
+    const view = source === 'DSA' ? 'dynamic_search_ads_search_term_view' : 'search_term_view';
+    const actionNames = CONFIG.CONVERSION_ACTIONS.map(name => `"${name.replace(/"/g, '\\"')}"`).join(', ');
+    let query = `
+SELECT
+    ${view}.search_term,
+    campaign.id,
+    campaign.name,
+    ad_group.id,
+    ad_group.name,
+    segments.conversion_action_name,
+    ${getConversionMetricFields().join(',\n    ')}
+FROM ${view}
+WHERE ${dateRange}
+AND campaign.status = "ENABLED"
+AND segments.conversion_action_name IN (${actionNames})`;
+    
+    if (source !== 'DSA') {
+        query += buildChannelConditions(source);
+    }
+    query += buildCampaignFilterConditions();
+    
+    return query;
+}
+
+function readConversionMetrics(metrics) {
+    const values = metrics || {};
+    return CONFIG.USE_ALL_CONVERSIONS ?
+        { conversions: Number(values.allConversions || 0), conversionValue: Number(values.allConversionsValue || 0) } :
+        { conversions: Number(values.conversions || 0), conversionValue: Number(values.conversionsValue || 0) };
+}
+
+function setOutputColumns() {
+    OUTPUT_COLUMNS = METRIC_COLUMNS.concat(getConversionActionColumns(), DETAIL_COLUMNS);
+    COL = OUTPUT_COLUMNS.reduce((columns, column, index) => {
+        columns[column[0]] = index;
+        return columns;
+    }, {});
+    HEADERS = OUTPUT_COLUMNS.map(column => column[1]);
+}
+
+function getConversionActionColumns() {
+    // One conversions and one value column per chosen conversion action, placed after the totals
+    return CONFIG.CONVERSION_ACTIONS.reduce((columns, name, index) => columns.concat([
+        [`ACTION_CONVERSIONS_${index}`, `Conversions (${name})`],
+        [`ACTION_VALUE_${index}`, `Conv. Value (${name})`]
+    ]), []);
+}
+
+function buildCampaignFilterConditions() {
+    let conditions = '';
+    
+    // Add campaign filter if specified
+    if (CONFIG.CAMPAIGN_FILTER && CONFIG.CAMPAIGN_FILTER.trim() !== '') {
+        conditions += `\nAND campaign.name LIKE "%${CONFIG.CAMPAIGN_FILTER}%"`;
+    }
+    
+    // Add campaign exclusion filter if specified
+    if (CONFIG.CAMPAIGN_EXCLUSION_FILTER && CONFIG.CAMPAIGN_EXCLUSION_FILTER.trim() !== '') {
+        conditions += `\nAND campaign.name NOT LIKE "%${CONFIG.CAMPAIGN_EXCLUSION_FILTER}%"`;
+    }
+    
+    return conditions;
+}
+
+function processSearchTermsWithCampaignCheck(aggregates, coverageIndexes, profileResolver, collected, previousAggregates) {
+    const data = [];
+    let qualifyingCount = 0;
+    const coverageCounts = {};
+    
+    collected.scannedCount = aggregates.size;
+    const account = AdsApp.currentAccount();
+    
+    // Words inside the terms often have enough data where the single terms do not
+    if (CONFIG.NGRAM_TAB) {
+        exportNgramAnalysis(buildNgramStats(aggregates));
+    }
+    
+    // Campaign or ad group averages that sparse terms are shrunk toward
+    const priors = CONFIG.QUALIFICATION_MODE === 'BAYESIAN' ? buildPerformancePriors(aggregates) : null;
+    
+    // Changes against the comparison period, terms that are emerging or fading get their own tab
+    const trends = previousAggregates ? buildTrends(aggregates, previousAggregates) : null;
+    if (trends && CONFIG.TRENDING_TAB) {
+        exportTrendingTerms(trends);
+    }
+    
+    aggregates.forEach((aggregate, key) => {
+        try {
+            const searchTerm = aggregate.searchTerm;
+            const status = getAggregateStatus(aggregate);
+            const { impressions, clicks, cost, conversions, conversionValue } = aggregate;
+            
+            // The top-spending ad group is where the keyword should go
+            const top = getTopAdGroup(aggregate);
+            const campaignId = top.campaignId;
+            const campaignName = top.campaignName;
+            const adGroupId = top.adGroupId;
+            const adGroupName = top.adGroupName;
+            
+            // Calculate derived metrics
+            const cpa = conversions > 0 ? cost / conversions : 0;
+            const roas = cost > 0 ? conversionValue / cost : 0;
+            
+            // Check if search term is already covered by a keyword in the configured scope,
+            // terms from other sources by the Search campaigns they are mapped to
+            const coverage = aggregate.source === 'SEARCH' ?
+                checkIfSearchTermIsKeywordInCampaign(searchTerm, campaignId, adGroupId, coverageIndexes) :
+                checkMappedSearchCoverage(searchTerm, campaignName, coverageIndexes);
+            
+            // PMax insights have no cost, the default cost and target rules could never pass
+            let profile = profileResolver(campaignId, campaignName);
+            if (aggregate.source === 'PMAX' && profile.name === 'Default') {
+                profile = getInsightRuleProfile();
+            }
+            const metrics = buildRuleMetrics(impressions, clicks, cost, conversions, conversionValue);
+            if (priors) {
+                Object.assign(metrics, estimateTermPerformance(aggregate, priors.get(getPriorKey(campaignId, adGroupId)), profile));
+            }
+            const evaluation = meetsThresholds(metrics, status, profile);
+            const qualifies = evaluation.passed;
+            
+            // Check if search term meets criteria
+            if (qualifies && !coverage) {
+                qualifyingCount++;
+                
+                const newRow = createEmptyRow();
+                newRow[COL.SEARCH_TERM] = searchTerm;
+                newRow[COL.STATUS] = status;
+                newRow[COL.SOURCE] = aggregate.source;
+                newRow[COL.CAMPAIGN] = campaignName;
+                newRow[COL.AD_GROUP] = adGroupName;
+                newRow[COL.AD_GROUP_COUNT] = aggregate.adGroups.size;
+                newRow[COL.IMPRESSIONS] = impressions;
+                newRow[COL.CLICKS] = clicks;
+                newRow[COL.COST] = cost;
+                newRow[COL.CONVERSIONS] = conversions;
+                newRow[COL.CONVERSION_VALUE] = conversionValue;
+                newRow[COL.CPA] = cpa;
+                newRow[COL.ROAS] = roas;
+                if (usesConversionActionQuery(aggregate.source)) {
+                    CONFIG.CONVERSION_ACTIONS.forEach((name, index) => {
+                        const action = aggregate.conversionsByAction[name] || { conversions: 0, conversionValue: 0 };
+                        newRow[COL[`ACTION_CONVERSIONS_${index}`]] = action.conversions;
+                        newRow[COL[`ACTION_VALUE_${index}`]] = action.conversionValue;
+                    });
+                }
+                if (trends) {
+                    const trend = trends.get(key);
+                    newRow[COL.TREND] = trend.trend;
+                    newRow[COL.CLICKS_CHANGE] = trend.clicksChange;
+                    newRow[COL.COST_CHANGE] = trend.costChange;
+                    newRow[COL.CONVERSIONS_CHANGE] = trend.conversionsChange;
+                    newRow[COL.ROAS_CHANGE] = trend.roasChange;
+                }
+                if (priors) {
+                    newRow[COL.ADJUSTED_CPA] = metrics.adjustedCpa === null ? '' : metrics.adjustedCpa;
+                    newRow[COL.ADJUSTED_ROAS] = metrics.adjustedRoas === null ? '' : metrics.adjustedRoas;
+                    newRow[COL.CONFIDENCE] = metrics.confidence === null ? '' : Math.round(metrics.confidence * 1000) / 1000;
+                }
+                newRow[COL.CAMPAIGN_ID] = campaignId;
+                newRow[COL.AD_GROUP_ID] = adGroupId;
+                newRow[COL.CONTRIBUTING_AD_GROUPS] = formatContributingAdGroups(aggregate);
+                newRow[COL.RULE_PROFILE] = profile.name;
+                newRow[COL.RULES_PASSED] = evaluation.description;
+                newRow[COL.ACCOUNT] = account.getName();
+                newRow[COL.ACCOUNT_ID] = account.getCustomerId();
+                
+                data.push(newRow);
+            } else if (qualifies) {
+                coverageCounts[coverage.reason] = (coverageCounts[coverage.reason] || 0) + 1;
+                collected.coveredTerms.push([
+                    searchTerm, coverage.reason, coverage.keyword, campaignName, adGroupName,
+                    clicks, cost, conversions, conversionValue
+                ]);
+            } else if (CONFIG.MINE_NEGATIVE_KEYWORDS) {
+                const reason = getNegativeCandidateReason(metrics, status, profile);
+                if (reason) {
+                    collected.negativeCandidates.push(createNegativeCandidate(searchTerm, reason, {
+                        campaignId, campaignName, adGroupId, adGroupName,
+                        impressions, clicks, cost, conversions, conversionValue, cpa, roas
+                    }));
+                }
+            }
+            
+        } catch (e) {
+            logError(`Error processing search term "${aggregate.searchTerm}": ${e}`);
+            // Continue with next search term
+        }
+    });
+    
+    // Aggregated terms lose the cost order of the query, restore it
+    data.sort((a, b) => b[COL.COST] - a[COL.COST]);
+    
+    Logger.log(`Evaluated ${aggregates.size} search terms at ${CONFIG.AGGREGATION_LEVEL} level, found ${qualifyingCount} qualifying terms`);
+    Object.keys(coverageCounts).forEach(reason => {
+        Logger.log(`Skipped ${coverageCounts[reason]} qualifying terms already covered (${reason})`);
+    });
+    return data;
+}
+
+function buildTrends(aggregates, previousAggregates) {
+    const trends = new Map();
+    const empty = { clicks: 0, cost: 0, conversions: 0, conversionValue: 0 };
+    const roasOf = metrics => metrics.cost > 0 ? metrics.conversionValue / metrics.cost : 0;
+    
+    // Terms of either period, the ones that disappeared are fading as well
+    const keys = new Set(Array.from(aggregates.keys()).concat(Array.from(previousAggregates.keys())));
+    keys.forEach(key => {
+        const current = aggregates.get(key) || empty;
+        const previous = previousAggregates.get(key) || empty;
+        const top = getTopAdGroup(aggregates.get(key) || previousAggregates.get(key));
+        const roas = roasOf(current);
+        const previousRoas = roasOf(previous);
+        
+        trends.set(key, {
+            searchTerm: (aggregates.get(key) || previousAggregates.get(key)).searchTerm,
+            campaignName: top.campaignName,
+            adGroupName: top.adGroupName,
+            trend: classifyTrend(current.clicks, previous.clicks),
+            current: current,
+            previous: previous,
+            clicksChange: current.clicks - previous.clicks,
+            costChange: current.cost - previous.cost,
+            conversionsChange: current.conversions - previous.conversions,
+            roas: roas,
+            previousRoas: previousRoas,
+            roasChange: roas - previousRoas
+        });
+    });
+    
+    return trends;
+}
+
+function classifyTrend(clicks, previousClicks) {
+    if (Math.max(clicks, previousClicks) < CONFIG.TREND_MIN_CLICKS) {
+        return '';
+    }
+    if (previousClicks === 0) {
+        return 'EMERGING';
+    }
+    
+    const change = (clicks - previousClicks) / previousClicks;
+    if (change >= CONFIG.TREND_CHANGE_THRESHOLD) {
+        return 'EMERGING';
+    }
+    if (change <= -CONFIG.TREND_CHANGE_THRESHOLD) {
+        return 'FADING';
+    }
+    return 'STABLE';
+}
+
+function exportTrendingTerms(trends) {
+    const rows = Array.from(trends.values())
+        .filter(trend => trend.trend === 'EMERGING' || trend.trend === 'FADING')
+        .sort((a, b) => Math.abs(b.clicksChange) - Math.abs(a.clicksChange))
+        .map(trend => [
+            trend.searchTerm, trend.campaignName, trend.adGroupName, trend.trend,
+            trend.current.clicks, trend.previous.clicks, trend.clicksChange,
+            trend.current.cost, trend.previous.cost, trend.costChange,
+            trend.current.conversions, trend.previous.conversions, trend.conversionsChange,
+            trend.roas, trend.previousRoas, trend.roasChange
+        ]);
+    
+    writeTab(getAccountTabName(CONFIG.TRENDING_TAB), TRENDING_HEADERS, rows, 'No emerging or fading search terms found.');
+    
+    const emerging = rows.filter(row => row[3] === 'EMERGING').length;
+    Logger.log(`Trends: ${emerging} emerging and ${rows.length - emerging} fading search terms`);
+}
+
+function fetchSearchTermAggregates(dateRange) {
+    const aggregates = new Map();
+    
+    CONFIG.SEARCH_TERM_SOURCES.forEach(source => {
+        // Standard Search terms fail the run as before, the additional sources only log their errors
+        try {
+            fetchSourceRows(source, dateRange).forEach(rows => aggregateSearchTerms(rows, source, aggregates));
+            if (usesConversionActionQuery(source)) {
+                addConversionActionMetrics(AdsApp.search(buildConversionActionQuery(dateRange, source)), source, aggregates);
+            }
+        } catch (e) {
+            if (source === 'SEARCH') {
+                throw e;
+            }
+            logError(`Error fetching ${source} search terms: ${e.message}`);
+        }
+    });
+    
+    return aggregates;
+}
+
+function fetchSourceRows(source, dateRange) {
+    switch (source) {
+        case 'SEARCH':
+            return [AdsApp.search(buildSearchTermQuery(dateRange, 'SEARCH'))];
+        case 'SHOPPING':
+            return [AdsApp.search(buildSearchTermQuery(dateRange, 'SHOPPING'))];
+        case 'DSA':
+            return [AdsApp.search(buildDynamicSearchTermQuery(dateRange))];
+        case 'PMAX':
+            // Insights can only be queried one campaign at a time and do not return the campaign itself
+            return getPerformanceMaxCampaigns().map(campaign => {
+                const rows = AdsApp.search(buildSearchTermInsightQuery(dateRange, campaign.id));
+                return {
+                    hasNext: () => rows.hasNext(),
+                    next: () => Object.assign(rows.next(), { campaign: campaign })
+                };
+            });
+    }
+    return [];
+}
+
+function aggregateSearchTerms(searchTermRows, source, aggregates) {
+    let processedCount = 0;
+    
+    while (searchTermRows.hasNext()) {
+        try {
+            const row = searchTermRows.next();
+            processedCount++;
+            
+            // Access fields using dot notation, each source has its own view
+            const view = getSourceView(row, source);
+            const searchTerm = view.searchTerm || view.categoryLabel || '';
+            const status = view.status || '';
+            if (source === 'PMAX' && !searchTerm) {
+                continue; // Uncategorized PMax searches have no label to work with
+            }
+            const campaignId = row.campaign && row.campaign.id ? row.campaign.id : '';
+            const campaignName = row.campaign && row.campaign.name ? row.campaign.name : '';
+            const adGroupId = row.adGroup && row.adGroup.id ? row.adGroup.id : '';
+            const adGroupName = row.adGroup && row.adGroup.name ? row.adGroup.name : '';
+            
+            // Convert metrics to numbers
+            const impressions = Number(row.metrics && row.metrics.impressions ? row.metrics.impressions : 0);
+            const clicks = Number(row.metrics && row.metrics.clicks ? row.metrics.clicks : 0);
+            const costMicros = Number(row.metrics && row.metrics.costMicros ? row.metrics.costMicros : 0);
+            const { conversions, conversionValue } = readConversionMetrics(row.metrics);
+            const cost = costMicros / 1000000; // Convert micros to currency
+            
+            const key = getAggregateKey(source, searchTerm, campaignId, adGroupId);
+            
+            if (!aggregates.has(key)) {
+                aggregates.set(key, {
+                    searchTerm: searchTerm,
+                    source: source,
+                    statuses: [],
+                    impressions: 0,
+                    clicks: 0,
+                    cost: 0,
+                    conversions: 0,
+                    conversionValue: 0,
+                    conversionsByAction: {},
+                    adGroups: new Map()
+                });
+            }
+            
+            const aggregate = aggregates.get(key);
+            aggregate.impressions += impressions;
+            aggregate.clicks += clicks;
+            aggregate.cost += cost;
+            aggregate.conversions += conversions;
+            aggregate.conversionValue += conversionValue;
+            
+            if (!aggregate.adGroups.has(adGroupId)) {
+                aggregate.adGroups.set(adGroupId, {
+                    campaignId, campaignName, adGroupId, adGroupName, status, cost: 0, clicks: 0, conversions: 0, conversionValue: 0
+                });
+            }
+            const adGroup = aggregate.adGroups.get(adGroupId);
+            adGroup.cost += cost;
+            adGroup.clicks += clicks;
+            adGroup.conversions += conversions;
+            adGroup.conversionValue += conversionValue;
+            aggregate.statuses.push(status);
+            
+            // Log progress every 1000 rows
+            if (processedCount % 1000 === 0) {
+                Logger.log(`Processed ${processedCount} rows, ${aggregates.size} search terms so far`);
+            }
+            
+        } catch (e) {
+            logError(`Error processing row ${processedCount}: ${e}`);
+            // Continue with next row
+        }
+    }
+    
+    Logger.log(`Processed ${processedCount} ${source} search term rows, ${aggregates.size} search terms in total`);
+    return aggregates;
+}
+
+function getSourceView(row, source) {
+    if (source === 'DSA') {
+        return row.dynamicSearchAdsSearchTermView || {};
+    }
+    return (source === 'PMAX' ? row.campaignSearchTermInsight : row.searchTermView) || {};
+}
+
+function getAggregateKey(source, searchTerm, campaignId, adGroupId) {
+    let key = source === 'SEARCH' ? searchTerm : `${source}|${searchTerm}`;
+    if (CONFIG.AGGREGATION_LEVEL === 'AD_GROUP') {
+        key += `|${adGroupId}`;
+    } else if (CONFIG.AGGREGATION_LEVEL === 'CAMPAIGN') {
+        key += `|${campaignId}`;
+    }
+    return key;
+}
+
+function addConversionActionMetrics(actionRows, source, aggregates) {
+    let rowCount = 0;
+    
+    while (actionRows.hasNext()) {
+        const row = actionRows.next();
+        rowCount++;
+        
+        const searchTerm = getSourceView(row, source).searchTerm || '';
+        const campaignId = row.campaign && row.campaign.id ? row.campaign.id : '';
+        const adGroupId = row.adGroup && row.adGroup.id ? row.adGroup.id : '';
+        const aggregate = aggregates.get(getAggregateKey(source, searchTerm, campaignId, adGroupId));
+        
+        // Conversions of terms without impressions in the period have no row to add to
+        if (!aggregate) {
+            continue;
+        }
+        
+        const { conversions, conversionValue } = readConversionMetrics(row.metrics);
+        aggregate.conversions += conversions;
+        aggregate.conversionValue += conversionValue;
+        
+        const adGroup = aggregate.adGroups.get(adGroupId);
+        if (adGroup) {
+            adGroup.conversions += conversions;
+            adGroup.conversionValue += conversionValue;
+        }
+        
+        const actionName = row.segments ? row.segments.conversionActionName : '';
+        const action = aggregate.conversionsByAction[actionName] || { conversions: 0, conversionValue: 0 };
+        action.conversions += conversions;
+        action.conversionValue += conversionValue;
+        aggregate.conversionsByAction[actionName] = action;
+    }
+    
+    Logger.log(`Added ${rowCount} ${source} conversion action rows`);
+}
+
+function getTopAdGroup(aggregate) {
+    let top = null;
+    aggregate.adGroups.forEach(adGroup => {
+        if (!top || adGroup.cost > top.cost || (adGroup.cost === top.cost && adGroup.clicks > top.clicks)) {
+            top = adGroup;
+        }
+    });
+    return top;
+}
+
+function getAggregateStatus(aggregate) {
+    // A term that is already a keyword or negative anywhere in the aggregate should not be proposed again
+    if (aggregate.statuses.includes('ADDED')) {
+        return 'ADDED';
+    }
+    if (aggregate.statuses.includes('EXCLUDED')) {
+        return 'EXCLUDED';
+    }
+    return getTopAdGroup(aggregate).status;
+}
+
+function formatContributingAdGroups(aggregate) {
+    return Array.from(aggregate.adGroups.values())
+        .sort((a, b) => b.cost - a.cost)
+        .map(adGroup => `${adGroup.campaignName} > ${adGroup.adGroupName} (${adGroup.cost.toFixed(2)})`)
+        .join('; ');
+}
+
+function createEmptyRow() {
+    // AI columns and any other optional cells stay empty until they are filled in
+    return HEADERS.map(() => '');
+}
+
+function checkIfSearchTermIsKeywordInCampaign(searchTerm, campaignId, adGroupId, coverageIndexes) {
+    const index = coverageIndexes.get(getCoverageScopeKey(campaignId, adGroupId));
+    
+    // No enabled keywords in this scope
+    if (!index) {
+        return null;
+    }
+    
+    return findKeywordCoverage(searchTerm, index);
+}
+
+function usesOtherSearchTermSources() {
+    return CONFIG.SEARCH_TERM_SOURCES.some(source => source !== 'SEARCH');
+}
+
+function checkMappedSearchCoverage(searchTerm, campaignName, coverageIndexes) {
+    const mapped = SOURCE_CAMPAIGN_MAPPING[campaignName];
+    if (!mapped) {
+        const index = coverageIndexes.get('ACCOUNT');
+        return index ? findKeywordCoverage(searchTerm, index) : null;
+    }
+    
+    const searchCampaigns = Array.isArray(mapped) ? mapped : [mapped];
+    for (const searchCampaign of searchCampaigns) {
+        const index = coverageIndexes.get(`search-campaign:${searchCampaign}`);
+        const coverage = index ? findKeywordCoverage(searchTerm, index) : null;
+        if (coverage) {
+            return coverage;
+        }
+    }
+    return null;
+}
+
+function getCoverageScopeKey(campaignId, adGroupId) {
+    if (CONFIG.COVERAGE_SCOPE === 'ACCOUNT') {
+        return 'ACCOUNT';
+    }
+    if (CONFIG.COVERAGE_SCOPE === 'AD_GROUP') {
+        return `adgroup:${adGroupId}`;
+    }
+    return `campaign:${campaignId}`;
+}
+
+function loadKeywordInventory() {
+    const keywords = [];
+    
+    // Account-wide coverage looks at every enabled Search campaign, not only the filtered ones
+    let query = `
+SELECT
+    campaign.id,
+    campaign.name,
+    ad_group.id,
+    ad_group.name,
+    ad_group_criterion.keyword.text,
+    ad_group_criterion.keyword.match_type
+FROM ad_group_criterion
+WHERE ad_group_criterion.type = "KEYWORD"
+AND ad_group_criterion.status = "ENABLED"
+AND ad_group_criterion.negative = FALSE
+AND ad_group.status = "ENABLED"
+AND campaign.status = "ENABLED"
+AND campaign.advertising_channel_type = "SEARCH"`;
+    
+    // Mapped Search campaigns of other sources can be outside the campaign filter
+    if (CONFIG.COVERAGE_SCOPE !== 'ACCOUNT' && !usesOtherSearchTermSources()) {
+        query += buildCampaignFilterConditions();
+    }
+    
+    try {
+        // AdsApp.search pages through the results on its own
+        const rows = AdsApp.search(query);
+        
+        while (rows.hasNext()) {
+            const row = rows.next();
+            const criterion = row.adGroupCriterion && row.adGroupCriterion.keyword ? row.adGroupCriterion.keyword : {};
+            
+            keywords.push({
+                text: criterion.text || '',
+                matchType: criterion.matchType || 'BROAD',
+                campaignId: row.campaign ? String(row.campaign.id) : '',
+                campaignName: row.campaign ? row.campaign.name : '',
+                adGroupId: row.adGroup ? String(row.adGroup.id) : '',
+                adGroupName: row.adGroup ? row.adGroup.name : ''
+            });
+        }
+        
+        Logger.log(`Loaded ${keywords.length} enabled keywords in ${CONFIG.COVERAGE_SCOPE === 'ACCOUNT' || usesOtherSearchTermSources() ? 'the account' : 'campaigns in scope'}`);
+        
+    } catch (e) {
+        logError(`Error loading keyword inventory: ${e}`);
+    }
+    
+    return keywords;
+}
+
+function buildCoverageIndexes(keywords) {
+    // Group the keywords per coverage scope, then index each group
+    const keywordsByScope = new Map();
+    const otherSources = usesOtherSearchTermSources();
+    
+    keywords.forEach(keyword => {
+        const scopeKeys = new Set([getCoverageScopeKey(keyword.campaignId, keyword.adGroupId)]);
+        
+        // Terms of other sources are checked per mapped Search campaign, or against the whole account
+        if (otherSources) {
+            scopeKeys.add(`search-campaign:${keyword.campaignName}`);
+            scopeKeys.add('ACCOUNT');
+        }
+        
+        scopeKeys.forEach(scopeKey => {
+            if (!keywordsByScope.has(scopeKey)) {
+                keywordsByScope.set(scopeKey, []);
+            }
+            keywordsByScope.get(scopeKey).push(keyword);
+        });
+    });
+    
+    const indexes = new Map();
+    keywordsByScope.forEach((scopeKeywords, scopeKey) => indexes.set(scopeKey, buildCoverageIndex(scopeKeywords)));
+    return indexes;
+}
+
+function normalizeKeywordText(text) {
+    // Strips match type syntax ([], "", +), accents and punctuation
+    return String(text)
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/['\u2019]/g, '')
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+}
+
+function singularize(word) {
+    if (word.length <= 3 || /(ss|us|is)$/.test(word)) {
+        return word;
+    }
+    if (/ies$/.test(word)) {
+        return word.slice(0, -3) + 'y';
+    }
+    if (/(sses|xes|zes|ches|shes)$/.test(word)) {
+        return word.slice(0, -2);
+    }
+    if (/s$/.test(word)) {
+        return word.slice(0, -1);
+    }
+    return word;
+}
+
+function buildCoverageIndex(keywords) {
+    const index = {
+        exact: new Map(),     // normalized text
+        variants: new Map(),  // singular forms in original order
+        unordered: new Map(), // singular forms in any order, phrase and broad only
+        broad: new Map()      // broad keywords listed under their first word
+    };
+    
+    keywords.forEach(keyword => {
+        const normalized = normalizeKeywordText(keyword.text);
+        if (!normalized) {
+            return;
+        }
+        
+        const stems = normalized.split(' ').map(singularize);
+        const displayText = formatKeywordText(keyword.text, keyword.matchType);
+        setIfMissing(index.exact, normalized, displayText);
+        setIfMissing(index.variants, stems.join(' '), displayText);
+        
+        if (keyword.matchType !== 'EXACT') {
+            setIfMissing(index.unordered, stems.slice().sort().join(' '), displayText);
+        }
+        
+        if (keyword.matchType === 'BROAD') {
+            const uniqueStems = Array.from(new Set(stems));
+            if (!index.broad.has(uniqueStems[0])) {
+                index.broad.set(uniqueStems[0], []);
+            }
+            index.broad.get(uniqueStems[0]).push({ stems: uniqueStems, text: displayText });
+        }
+    });
+    
+    return index;
+}
+
+function setIfMissing(map, key, value) {
+    if (!map.has(key)) {
+        map.set(key, value);
+    }
+}
+
+function findKeywordCoverage(searchTerm, index) {
+    const normalized = normalizeKeywordText(searchTerm);
+    if (!normalized) {
+        return null;
+    }
+    
+    if (index.exact.has(normalized)) {
+        return { reason: 'EXACT_DUPLICATE', keyword: index.exact.get(normalized) };
+    }
+    
+    const stems = normalized.split(' ').map(singularize);
+    const variantKey = stems.join(' ');
+    if (index.variants.has(variantKey)) {
+        return { reason: 'CLOSE_VARIANT', keyword: index.variants.get(variantKey) };
+    }
+    
+    const unorderedKey = stems.slice().sort().join(' ');
+    if (index.unordered.has(unorderedKey)) {
+        return { reason: 'CLOSE_VARIANT', keyword: index.unordered.get(unorderedKey) };
+    }
+    
+    if (CONFIG.COUNT_BROAD_COVERAGE) {
+        // A broad keyword covers the term when all of its words appear in the term
+        const termStems = new Set(stems);
+        for (const stem of termStems) {
+            const candidates = index.broad.get(stem) || [];
+            const match = candidates.find(candidate => candidate.stems.every(candidateStem => termStems.has(candidateStem)));
+            if (match) {
+                return { reason: 'BROAD_COVERED', keyword: match.text };
+            }
+        }
+    }
+    
+    return null;
+}
+
+function exportCoveredTerms(coveredTerms) {
+    writeTab(getAccountTabName(CONFIG.COVERED_TAB), COVERED_HEADERS, coveredTerms, 'No qualifying search terms were covered by existing keywords.');
+}
+
+function buildNgramStats(aggregates) {
+    // One total per search term first, so a term split over ad groups counts once.
+    // PMax insights have conversions but no cost, they would make every n-gram look cheaper than it is.
+    const terms = new Map();
+    aggregates.forEach(aggregate => {
+        if (aggregate.source === 'PMAX') {
+            return;
+        }
+        const text = normalizeKeywordText(aggregate.searchTerm);
+        if (!terms.has(text)) {
+            terms.set(text, { impressions: 0, clicks: 0, cost: 0, conversions: 0, conversionValue: 0 });
+        }
+        const term = terms.get(text);
+        term.impressions += aggregate.impressions;
+        term.clicks += aggregate.clicks;
+        term.cost += aggregate.cost;
+        term.conversions += aggregate.conversions;
+        term.conversionValue += aggregate.conversionValue;
+    });
+    
+    const ngrams = new Map();
+    terms.forEach((metrics, text) => {
+        const words = text.split(' ').filter(word => word !== '');
+        const termNgrams = new Set();
+        for (let size = 1; size <= 3; size++) {
+            for (let i = 0; i + size <= words.length; i++) {
+                termNgrams.add(words.slice(i, i + size).join(' '));
+            }
+        }
+        
+        termNgrams.forEach(ngram => {
+            if (!ngrams.has(ngram)) {
+                ngrams.set(ngram, { ngram: ngram, terms: 0, impressions: 0, clicks: 0, cost: 0, conversions: 0, conversionValue: 0 });
+            }
+            const stats = ngrams.get(ngram);
+            stats.terms++;
+            stats.impressions += metrics.impressions;
+            stats.clicks += metrics.clicks;
+            stats.cost += metrics.cost;
+            stats.conversions += metrics.conversions;
+            stats.conversionValue += metrics.conversionValue;
+        });
+    });
+    
+    return Array.from(ngrams.values())
+        .filter(stats => stats.terms >= CONFIG.NGRAM_MIN_TERMS)
+        .sort((a, b) => b.cost - a.cost);
+}
+
+function getNgramTargetStatus(stats) {
+    if (stats.clicks < CONFIG.NGRAM_MIN_CLICKS) {
+        return '';
+    }
+    const target = TARGET_TYPES[CONFIG.TARGET_TYPE];
+    const metrics = buildRuleMetrics(stats.impressions, stats.clicks, stats.cost, stats.conversions, stats.conversionValue);
+    return compareMetric(target.metric, metrics[target.metric], target.operator, CONFIG.TARGET_VALUE).passed ? 'BEATS TARGET' : 'MISSES TARGET';
+}
+
+function exportNgramAnalysis(ngramStats) {
+    const rows = ngramStats.slice(0, CONFIG.NGRAM_MAX_ROWS).map(stats => {
+        const cpa = stats.conversions > 0 ? stats.cost / stats.conversions : 0;
+        const roas = stats.cost > 0 ? stats.conversionValue / stats.cost : 0;
+        return [
+            stats.ngram, stats.ngram.split(' ').length, stats.terms,
+            stats.impressions, stats.clicks, stats.cost, stats.conversions, stats.conversionValue,
+            cpa, roas, getNgramTargetStatus(stats)
+        ];
+    });
+    
+    writeTab(getAccountTabName(CONFIG.NGRAM_TAB), NGRAM_HEADERS, rows, 'No n-grams found in the search terms.');
+    
+    const beating = rows.filter(row => row[row.length - 1] === 'BEATS TARGET').length;
+    const missing = rows.filter(row => row[row.length - 1] === 'MISSES TARGET').length;
+    Logger.log(`N-gram analysis: ${ngramStats.length} n-grams, ${beating} beat and ${missing} miss the ${CONFIG.TARGET_TYPE} target`);
+}
+
+function suggestAdGroups(data, keywords) {
+    const adGroups = buildAdGroupProfiles(keywords);
+    let newAdGroups = 0;
+    adGroupCandidates = new Map();
+    
+    // Rows the AI classified before an interruption keep the ad group it picked
+    const remaining = data.filter(row => row[COL.LABEL_SOURCE] !== 'AI');
+    remaining.forEach(row => {
+        const features = getSimilarityFeatures(row[COL.SEARCH_TERM]);
+        const ranked = rankSimilarAdGroups(features, adGroups);
+        const best = ranked.length > 0 ? ranked[0] : null;
+        
+        adGroupCandidates.set(getClassificationKey(row[COL.SEARCH_TERM]), ranked.slice(0, AI_AD_GROUP_CANDIDATES).map(candidate => ({
+            name: `${candidate.adGroup.campaignName} > ${candidate.adGroup.adGroupName}`,
+            similarity: Math.round(candidate.similarity * 100) / 100
+        })));
+        
+        if (best && best.similarity >= CONFIG.SUGGESTION_MIN_SIMILARITY) {
+            row[COL.SUGGESTED_AD_GROUP] = `${best.adGroup.campaignName} > ${best.adGroup.adGroupName}`;
+        } else {
+            row[COL.SUGGESTED_AD_GROUP] = `New ad group needed: ${proposeAdGroupName(row[COL.SEARCH_TERM])}`;
+            newAdGroups++;
+        }
+        row[COL.SIMILARITY] = best ? Math.round(best.similarity * 100) / 100 : 0;
+        row[COL.SUGGESTED_MATCH_TYPE] = suggestMatchType(row, features);
+    });
+    
+    Logger.log(`Ad group suggestions: ${remaining.length - newAdGroups} terms fit an existing ad group, ${newAdGroups} need a new one (${adGroups.profiles.length} ad groups compared)`);
+}
+
+function buildAdGroupProfiles(keywords) {
+    const profiles = new Map();
+    const byStem = new Map(); // stem -> ad groups with a keyword containing it
+    
+    keywords.forEach(keyword => {
+        const features = getSimilarityFeatures(keyword.text);
+        if (features.stems.length === 0) {
+            return;
+        }
+        
+        if (!profiles.has(keyword.adGroupId)) {
+            profiles.set(keyword.adGroupId, {
+                campaignName: keyword.campaignName,
+                adGroupName: keyword.adGroupName,
+                keywords: [],
+                stems: new Set()
+            });
+        }
+        const profile = profiles.get(keyword.adGroupId);
+        profile.keywords.push(features);
+        
+        features.stems.forEach(stem => {
+            profile.stems.add(stem);
+            if (!byStem.has(stem)) {
+                byStem.set(stem, new Set());
+            }
+            byStem.get(stem).add(profile);
+        });
+    });
+    
+    return { profiles: Array.from(profiles.values()), byStem: byStem };
+}
+
+function getSimilarityFeatures(text) {
+    const stems = normalizeKeywordText(text).split(' ').filter(word => word !== '').map(singularize);
+    
+    // Word pairs make 'running shoes' closer to 'running shoes men' than to 'shoes for running'
+    const ngrams = new Set(stems);
+    for (let i = 0; i < stems.length - 1; i++) {
+        ngrams.add(`${stems[i]} ${stems[i + 1]}`);
+    }
+    return { stems: stems, ngrams: ngrams };
+}
+
+function getDiceSimilarity(a, b) {
+    if (a.size === 0 || b.size === 0) {
+        return 0;
+    }
+    let shared = 0;
+    a.forEach(item => {
+        if (b.has(item)) {
+            shared++;
+        }
+    });
+    return 2 * shared / (a.size + b.size);
+}
+
+function rankSimilarAdGroups(features, adGroups) {
+    // Only ad groups that share at least one word with the term are worth scoring
+    const candidates = new Set();
+    features.stems.forEach(stem => (adGroups.byStem.get(stem) || []).forEach(profile => candidates.add(profile)));
+    
+    const ranked = [];
+    candidates.forEach(adGroup => {
+        // Mostly the closest keyword, partly how many of the term's words the ad group covers as a theme
+        const closestKeyword = adGroup.keywords.reduce((max, keyword) => Math.max(max, getDiceSimilarity(features.ngrams, keyword.ngrams)), 0);
+        const themeCoverage = features.stems.filter(stem => adGroup.stems.has(stem)).length / features.stems.length;
+        ranked.push({ adGroup: adGroup, similarity: 0.7 * closestKeyword + 0.3 * themeCoverage });
+    });
+    
+    // Ties keep the order the ad groups were found in
+    return ranked.sort((a, b) => b.similarity - a.similarity);
+}
+
+function applyAIAdGroupSuggestion(row, adGroup) {
+    // Only one of the candidates sent with the term is accepted, anything else keeps the similarity suggestion
+    const candidate = (adGroupCandidates.get(getClassificationKey(row[COL.SEARCH_TERM])) || []).find(item => item.name === adGroup);
+    if (candidate) {
+        row[COL.SUGGESTED_AD_GROUP] = candidate.name;
+        row[COL.SIMILARITY] = candidate.similarity;
+    }
+}
+
+function proposeAdGroupName(searchTerm) {
+    const fillerWords = ['a', 'an', 'and', 'the', 'for', 'of', 'in', 'on', 'to', 'with', 'near', 'me', 'buy', 'best', 'cheap', 'online'];
+    const words = normalizeKeywordText(searchTerm).split(' ').filter(word => word !== '' && fillerWords.indexOf(word) === -1);
+    const nameWords = (words.length > 0 ? words : normalizeKeywordText(searchTerm).split(' ')).slice(0, 3);
+    return nameWords.map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+}
+
+function suggestMatchType(row, features) {
+    // Long-tail terms rarely gain from phrase match, proven short terms can pick up more variants
+    if (features.stems.length >= 4) {
+        return 'EXACT';
+    }
+    return row[COL.CONVERSIONS] >= CONFIG.PHRASE_MIN_CONVERSIONS ? 'PHRASE' : 'EXACT';
+}
+
+function refineSuggestionsWithClassifications(data) {
+    data.forEach(row => {
+        const classification = row[COL.AI_CLASSIFICATION];
+        
+        if (classification === 'COMPETITOR') {
+            // Competitor terms need their own ads and bids, not a spot next to the own brand
+            row[COL.SUGGESTED_AD_GROUP] = `New ad group needed: Competitor - ${proposeAdGroupName(row[COL.SEARCH_TERM])}`;
+            row[COL.SUGGESTED_MATCH_TYPE] = 'EXACT';
+        } else if (classification === 'GENERIC' || classification === 'SEMI_RELEVANT') {
+            // Broad intent, phrase match would pull in too much unrelated traffic
+            row[COL.SUGGESTED_MATCH_TYPE] = 'EXACT';
+        }
+    });
+}
+
+function meetsThresholds(metrics, status, profile) {
+    // Check if already added as keyword (status = 'ADDED') or excluded as negative (status = 'EXCLUDED')
+    if (status === 'ADDED' || status === 'EXCLUDED') {
+        return { passed: false, description: `status ${status}` };
+    }
+    
+    return evaluateRule(profile.rules, metrics, profile);
+}
+
+function buildRuleMetrics(impressions, clicks, cost, conversions, conversionValue) {
+    // Ratios without a denominator are null, and null fails every comparison
+    return {
+        impressions: impressions,
+        clicks: clicks,
+        cost: cost,
+        conversions: conversions,
+        conversionValue: conversionValue,
+        cpa: conversions > 0 ? cost / conversions : null,
+        roas: cost > 0 ? conversionValue / cost : null,
+        ctr: impressions > 0 ? clicks / impressions : null,
+        conversionRate: clicks > 0 ? conversions / clicks : null,
+        valuePerConversion: conversions > 0 ? conversionValue / conversions : null
+    };
+}
+
+function evaluateRule(rule, metrics, profile) {
+    if (rule.all || rule.any) {
+        const results = (rule.all || rule.any).map(child => evaluateRule(child, metrics, profile));
+        
+        if (rule.all) {
+            return {
+                passed: results.every(result => result.passed),
+                description: results.map(result => result.description).join(' AND ')
+            };
+        }
+        
+        // For OR groups only the branches that passed explain the result
+        const passing = results.filter(result => result.passed);
+        return {
+            passed: passing.length > 0,
+            description: `(${(passing.length > 0 ? passing : results).map(result => result.description).join(' OR ')})`
+        };
+    }
+    
+    // The value per conversion has no spread in the model, its shrunk estimate is compared directly
+    if (rule.target && CONFIG.QUALIFICATION_MODE === 'BAYESIAN' && profile.targetType === 'VALUE_PER_CONVERSION') {
+        return compareMetric('adjustedValuePerConversion', metrics.adjustedValuePerConversion, '>=', profile.targetValue);
+    }
+    
+    if (rule.target && CONFIG.QUALIFICATION_MODE === 'BAYESIAN') {
+        return compareMetric('confidence', metrics.confidence, '>=', CONFIG.MIN_CONFIDENCE);
+    }
+    
+    if (rule.target) {
+        const target = TARGET_TYPES[profile.targetType];
+        return compareMetric(target.metric, metrics[target.metric], target.operator, profile.targetValue);
+    }
+    
+    return compareMetric(rule.metric, metrics[rule.metric], rule.operator, rule.value);
+}
+
+function compareMetric(metric, actual, operator, expected) {
+    let passed = false;
+    
+    if (actual !== null && actual !== undefined) {
+        switch (operator) {
+            case '>=': passed = actual >= expected; break;
+            case '>': passed = actual > expected; break;
+            case '<=': passed = actual <= expected; break;
+            case '<': passed = actual < expected; break;
+            case '=': passed = actual === expected; break;
+        }
+    }
+    
+    const formatted = actual === null || actual === undefined ? 'n/a' : Number(actual.toFixed(2));
+    return { passed: passed, description: `${metric} ${formatted} ${operator} ${expected}` };
+}
+
+function getPriorKey(campaignId, adGroupId) {
+    return CONFIG.BAYESIAN_PRIOR_LEVEL === 'AD_GROUP' ? `adgroup:${adGroupId}` : `campaign:${campaignId}`;
+}
+
+function buildPerformancePriors(aggregates) {
+    const totals = new Map();
+    
+    aggregates.forEach(aggregate => {
+        aggregate.adGroups.forEach(adGroup => {
+            const key = getPriorKey(adGroup.campaignId, adGroup.adGroupId);
+            if (!totals.has(key)) {
+                totals.set(key, { clicks: 0, conversions: 0, conversionValue: 0 });
+            }
+            const total = totals.get(key);
+            total.clicks += adGroup.clicks;
+            total.conversions += adGroup.conversions;
+            total.conversionValue += adGroup.conversionValue;
+        });
+    });
+    
+    const priors = new Map();
+    totals.forEach((total, key) => priors.set(key, {
+        // Half a conversion keeps the rate above zero for groups that never converted
+        conversionRate: Math.min((total.conversions + 0.5) / (total.clicks + 1), 0.99),
+        valuePerConversion: total.conversions > 0 ? total.conversionValue / total.conversions : 0
+    }));
+    return priors;
+}
+
+function estimateTermPerformance(aggregate, prior, profile) {
+    if (aggregate.clicks === 0 || !prior) {
+        return { adjustedCpa: null, adjustedRoas: null, adjustedValuePerConversion: null, confidence: null };
+    }
+    
+    // Beta posterior of the conversion rate, the prior counts as BAYESIAN_PRIOR_STRENGTH clicks at the average rate
+    const priorConversions = prior.conversionRate * CONFIG.BAYESIAN_PRIOR_STRENGTH;
+    const alpha = priorConversions + aggregate.conversions;
+    const beta = CONFIG.BAYESIAN_PRIOR_STRENGTH - priorConversions + Math.max(aggregate.clicks - aggregate.conversions, 0);
+    const conversionRate = alpha / (alpha + beta);
+    
+    // Value per conversion is shrunk toward the average with the same weight, its spread is not modelled
+    const valuePerConversion = (prior.valuePerConversion * priorConversions + aggregate.conversionValue) / alpha;
+    const costPerClick = aggregate.cost / aggregate.clicks;
+    
+    // The term beats the target when its true conversion rate is above the break-even rate
+    let breakEvenRate = null;
+    if (profile.targetType === 'CPA') {
+        breakEvenRate = costPerClick / profile.targetValue;
+    } else if (profile.targetType === 'ROAS') {
+        breakEvenRate = valuePerConversion > 0 ? profile.targetValue * costPerClick / valuePerConversion : 1;
+    } else if (profile.targetType === 'CONVERSION_RATE') {
+        breakEvenRate = profile.targetValue;
+    }
+    
+    let confidence = null;
+    if (breakEvenRate !== null) {
+        confidence = breakEvenRate >= 1 ? 0 : 1 - regularizedIncompleteBeta(breakEvenRate, alpha, beta);
+    }
+    
+    return {
+        adjustedCpa: costPerClick / conversionRate,
+        adjustedRoas: costPerClick > 0 ? conversionRate * valuePerConversion / costPerClick : null,
+        adjustedValuePerConversion: valuePerConversion,
+        confidence: confidence
+    };
+}
+
+function regularizedIncompleteBeta(x, a, b) {
+    // Cumulative distribution of Beta(a, b) at x, evaluated with a continued fraction (Numerical Recipes 6.4)
+    if (x <= 0) {
+        return 0;
+    }
+    if (x >= 1) {
+        return 1;
+    }
+    
+    const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+    if (x < (a + 1) / (a + b + 2)) {
+        return front * betaContinuedFraction(x, a, b) / a;
+    }
+    return 1 - front * betaContinuedFraction(1 - x, b, a) / b;
+}
+
+function betaContinuedFraction(x, a, b) {
+    const tiny = 1e-300;
+    const clamp = value => Math.abs(value) < tiny ? tiny : value;
+    
+    let c = 1;
+    let d = 1 / clamp(1 - (a + b) * x / (a + 1));
+    let result = d;
+    
+    for (let m = 1; m <= 200; m++) {
+        // Even step
+        let term = m * (b - m) * x / ((a + 2 * m - 1) * (a + 2 * m));
+        d = 1 / clamp(1 + term * d);
+        c = clamp(1 + term / c);
+        result *= d * c;
+        
+        // Odd step
+        term = -(a + m) * (a + b + m) * x / ((a + 2 * m) * (a + 2 * m + 1));
+        d = 1 / clamp(1 + term * d);
+        c = clamp(1 + term / c);
+        const delta = d * c;
+        result *= delta;
+        
+        if (Math.abs(delta - 1) < 3e-12) {
+            break;
+        }
+    }
+    
+    return result;
+}
+
+function logGamma(x) {
+    // Lanczos approximation, accurate to about 15 digits for x > 0
+    const coefficients = [0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+        -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7];
+    
+    if (x < 0.5) {
+        return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+    }
+    
+    x -= 1;
+    let sum = coefficients[0];
+    for (let i = 1; i < coefficients.length; i++) {
+        sum += coefficients[i] / (x + i);
+    }
+    const t = x + 7.5;
+    return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(sum);
+}
+
+function getInsightRuleProfile() {
+    return {
+        name: 'PMax insights',
+        targetType: CONFIG.TARGET_TYPE,
+        targetValue: CONFIG.TARGET_VALUE,
+        rules: { all: [
+            { metric: 'clicks', operator: '>=', value: CONFIG.MIN_CLICKS },
+            { metric: 'conversions', operator: '>=', value: CONFIG.MIN_CONVERSIONS }
+        ] }
+    };
+}
+
+function getDefaultRuleProfile() {
+    return {
+        name: 'Default',
+        targetType: CONFIG.TARGET_TYPE,
+        targetValue: CONFIG.TARGET_VALUE,
+        rules: { all: [
+            { metric: 'cost', operator: '>=', value: CONFIG.MIN_COST },
+            { metric: 'clicks', operator: '>=', value: CONFIG.MIN_CLICKS },
+            { metric: 'conversions', operator: '>=', value: CONFIG.MIN_CONVERSIONS },
+            { target: true }
+        ] }
+    };
+}
+
+function validateRuleProfiles() {
+    const errors = [];
+    
+    const validateRule = (rule, path) => {
+        if (!rule || typeof rule !== 'object') {
+            errors.push(`${path}: rule must be an object`);
+        } else if (rule.all || rule.any) {
+            const children = rule.all || rule.any;
+            if (!Array.isArray(children) || children.length === 0) {
+                errors.push(`${path}: 'all' and 'any' need a non-empty list of rules`);
+            } else {
+                children.forEach((child, index) => validateRule(child, `${path}.${rule.all ? 'all' : 'any'}[${index}]`));
+            }
+        } else if (!rule.target) {
+            if (!RULE_METRICS.includes(rule.metric)) {
+                errors.push(`${path}: unknown metric '${rule.metric}', use one of ${RULE_METRICS.join(', ')}`);
+            }
+            if (!RULE_OPERATORS.includes(rule.operator)) {
+                errors.push(`${path}: unknown operator '${rule.operator}', use one of ${RULE_OPERATORS.join(' ')}`);
+            }
+            if (typeof rule.value !== 'number') {
+                errors.push(`${path}: value must be a number`);
+            }
+        }
+    };
+    
+    RULE_PROFILES.forEach((profile, index) => {
+        const name = profile.name || `RULE_PROFILES[${index}]`;
+        if (!profile.name) {
+            errors.push(`${name}: profile needs a name`);
+        }
+        if (!profile.campaignPattern && !profile.campaignLabel) {
+            errors.push(`${name}: set a campaignPattern and/or campaignLabel`);
+        }
+        if (profile.targetType && !TARGET_TYPES[profile.targetType]) {
+            errors.push(`${name}: unknown targetType '${profile.targetType}', use ${Object.keys(TARGET_TYPES).join(', ')}`);
+        }
+        if (profile.campaignPattern) {
+            try {
+                new RegExp(profile.campaignPattern, 'i');
+            } catch (e) {
+                errors.push(`${name}: invalid campaignPattern (${e.message})`);
+            }
+        }
+        validateRule(profile.rules, `${name}.rules`);
+    });
+    
+    if (errors.length > 0) {
+        throw new Error(`Invalid RULE_PROFILES:\n- ${errors.join('\n- ')}`);
+    }
+    
+    Logger.log(`Rule profiles: ${RULE_PROFILES.map(profile => profile.name).concat(['Default']).join(', ')}`);
+}
+
+function createRuleProfileResolver() {
+    const profiles = RULE_PROFILES.map(profile => Object.assign({
+        targetType: CONFIG.TARGET_TYPE,
+        targetValue: CONFIG.TARGET_VALUE
+    }, profile));
+    const defaultProfile = getDefaultRuleProfile();
+    
+    // Campaign labels are only loaded when a profile needs them
+    const campaignLabels = profiles.some(profile => profile.campaignLabel) ? loadCampaignLabels() : new Map();
+    const cache = new Map();
+    
+    return (campaignId, campaignName) => {
+        if (!cache.has(campaignId)) {
+            const labels = campaignLabels.get(String(campaignId)) || [];
+            const profile = profiles.find(candidate => matchesRuleProfile(candidate, campaignName, labels));
+            cache.set(campaignId, profile || defaultProfile);
+        }
+        return cache.get(campaignId);
+    };
+}
+
+function matchesRuleProfile(profile, campaignName, labels) {
+    if (profile.campaignPattern && !new RegExp(profile.campaignPattern, 'i').test(campaignName)) {
+        return false;
+    }
+    if (profile.campaignLabel && !labels.includes(profile.campaignLabel.toLowerCase())) {
+        return false;
+    }
+    return true;
+}
+
+function loadCampaignLabels() {
+    const labels = new Map();
+    
+    try {
+        const rows = AdsApp.search(`
+SELECT
+    campaign.id,
+    label.name
+FROM campaign_label`);
+        
+        while (rows.hasNext()) {
+            const row = rows.next();
+            const campaignId = String(row.campaign.id);
+            if (!labels.has(campaignId)) {
+                labels.set(campaignId, []);
+            }
+            labels.get(campaignId).push(String(row.label.name).toLowerCase());
+        }
+    } catch (e) {
+        logError(`Error loading campaign labels: ${e}`);
+    }
+    
+    return labels;
+}
+
+function applyRuleClassification(data) {
+    const rules = loadClassificationRules();
+    if (rules.length === 0) {
+        return;
+    }
+    
+    let labeled = 0;
+    data.filter(row => row[COL.AI_CLASSIFICATION] === '').forEach(row => {
+        const rule = findClassificationRule(row[COL.SEARCH_TERM], rules);
+        if (!rule) {
+            return;
+        }
+        
+        row[COL.AI_CLASSIFICATION] = rule.label;
+        row[COL.AI_CONFIDENCE] = 1;
+        row[COL.AI_REASONING] = `${rule.type} rule: ${rule.pattern}`;
+        row[COL.LABEL_SOURCE] = 'RULE';
+        labeled++;
+    });
+    
+    Logger.log(`Classification rules labeled ${labeled} of ${data.length} search terms`);
+}
+
+function loadClassificationRules() {
+    if (!CONFIG.CLASSIFICATION_RULES_TAB) {
+        return [];
+    }
+    
+    const rules = [];
+    try {
+        const ss = getSpreadsheet();
+        let sheet = ss.getSheetByName(CONFIG.CLASSIFICATION_RULES_TAB);
+        if (!sheet) {
+            sheet = getOrCreateSheet(CONFIG.CLASSIFICATION_RULES_TAB, CLASSIFICATION_RULES_HEADERS);
+            const defaults = CLASSIFICATION_RULES.map(rule => [rule.type, rule.pattern, rule.label, '']);
+            sheet.getRange(2, 1, defaults.length, CLASSIFICATION_RULES_HEADERS.length).setValues(defaults);
+            Logger.log(`Created ${CONFIG.CLASSIFICATION_RULES_TAB} tab with the default rules`);
+        }
+        
+        const labels = AI_CLASSIFICATIONS.concat(RULE_CLASSIFICATIONS);
+        readSheetRecords(sheet).forEach((record, index) => {
+            const type = String(record['Type'] || '').trim().toUpperCase();
+            const pattern = String(record['Pattern'] || '').trim();
+            const label = String(record['Label'] || '').trim().toUpperCase();
+            if (!pattern) {
+                return;
+            }
+            
+            // A broken rule is reported and skipped, the other rules still apply
+            const rowNumber = index + 2;
+            if (!CLASSIFICATION_RULE_TYPES.includes(type) || !labels.includes(label)) {
+                logError(`Classification rule on row ${rowNumber}: use a type of ${CLASSIFICATION_RULE_TYPES.join(', ')} and a label of ${labels.join(', ')}`);
+                return;
+            }
+            
+            const rule = { type: type, pattern: pattern, label: label };
+            if (type === 'REGEX') {
+                try {
+                    rule.regex = new RegExp(pattern, 'i');
+                } catch (e) {
+                    logError(`Classification rule on row ${rowNumber}: invalid regex ${pattern}`);
+                    return;
+                }
+            } else {
+                // Compared word by word like keywords, so 'jobs' also matches 'job' and 'Jobs!'
+                rule.phrases = (type === 'TERMS' ? pattern.split(',') : [pattern]).map(getRuleWords).filter(phrase => phrase.trim() !== '');
+            }
+            rules.push(rule);
+        });
+    } catch (e) {
+        logError(`Error loading the classification rules: ${e.message}`);
+    }
+    
+    Logger.log(`Loaded ${rules.length} classification rules`);
+    return rules;
+}
+
+function getRuleWords(text) {
+    // Padded with spaces, so phrases only match whole words
+    return ` ${normalizeKeywordText(text).split(' ').map(singularize).join(' ')} `;
+}
+
+function findClassificationRule(searchTerm, rules) {
+    const words = getRuleWords(searchTerm);
+    return rules.find(rule => {
+        if (rule.type === 'REGEX') {
+            return rule.regex.test(searchTerm);
+        }
+        if (rule.type === 'EXACT') {
+            return rule.phrases.includes(words);
+        }
+        return rule.phrases.some(phrase => words.includes(phrase));
+    }) || null;
+}
+
+function applyAIClassification(data, websiteIndex) {
+    if (!CONFIG.USE_AI_CLASSIFICATION || data.length === 0) {
+        return true;
+    }
+    
+    // Rows classified in an earlier, interrupted part of the run keep their result
+    const unclassified = data.filter(row => row[COL.AI_CLASSIFICATION] === '');
+    
+    try {
+        // Terms classified recently with the same model, website and prompt skip the API call
+        const cache = loadAICache();
+        const contextHash = getAIContextHash(websiteIndex);
+        const uncached = unclassified.filter(row => !applyCachedClassification(row, cache, contextHash));
+        Logger.log(`AI cache: ${unclassified.length - uncached.length} of ${unclassified.length} search terms classified from the cache`);
+        
+        if (uncached.length === 0) {
+            return true;
+        }
+        
+        // Get the API key, self-hosted OpenAI-compatible endpoints may not need one
+        const apiKey = getAIAPIKey();
+        if (!apiKey && CONFIG.AI_PROVIDER !== 'OPENAI_COMPATIBLE') {
+            Logger.log(`${CONFIG.AI_PROVIDER} API key not found. Skipping AI classification.`);
+            return true;
+        }
+        
+        // Estimate costs before processing
+        const estimatedCost = estimateAICosts(uncached, websiteIndex);
+        Logger.log(`Estimated AI cost: $${estimatedCost.toFixed(4)} (maximum $${CONFIG.MAX_TOTAL_COST})`);
+        
+        // Process search terms in batches
+        for (let i = 0; i < uncached.length; i += CONFIG.BATCH_SIZE) {
+            const batch = uncached.slice(i, i + CONFIG.BATCH_SIZE);
+            
+            // Leave time to write the results, the rest is classified in the next run
+            if (!hasTimeLeft()) {
+                Logger.log(`Less than ${CONFIG.TIME_SAFETY_MARGIN_SECONDS}s of execution time left, ${uncached.length - i} search terms are not classified yet`);
+                saveAICache(cache);
+                return false;
+            }
+            
+            // Stop before the real spend so far plus this batch would go over the budget
+            if (!fitsAIBudget(batch, websiteIndex)) {
+                markSkippedClassifications(uncached.slice(i));
+                Logger.log(`AI budget of $${CONFIG.MAX_TOTAL_COST} reached after $${totalCost.toFixed(4)}. Skipped classification of ${uncached.length - i} search terms.`);
+                break;
+            }
+            
+            const batchResults = classifySearchTermsBatch(batch, apiKey, websiteIndex);
+            
+            // Update the data with classification results
+            batch.forEach((row, j) => {
+                row[COL.AI_CLASSIFICATION] = batchResults[j].classification;
+                row[COL.AI_CONFIDENCE] = batchResults[j].confidence;
+                row[COL.AI_REASONING] = batchResults[j].reasoning;
+                row[COL.LABEL_SOURCE] = 'AI';
+                applyAIAdGroupSuggestion(row, batchResults[j].adGroup);
+                
+                if (AI_CLASSIFICATIONS.includes(batchResults[j].classification)) {
+                    addToAICache(cache, row, contextHash, batchResults[j]);
+                }
+            });
+            
+            // Add delay between batches to avoid rate limits
+            if (i + CONFIG.BATCH_SIZE < uncached.length) {
+                Utilities.sleep(1000); // 1 second delay
+            }
+            
+            Logger.log(`Processed batch ${Math.floor(i/CONFIG.BATCH_SIZE) + 1}/${Math.ceil(uncached.length/CONFIG.BATCH_SIZE)}`);
+        }
+        
+        saveAICache(cache);
+        Logger.log(`AI classification completed for ${unclassified.length} search terms`);
+        
+    } catch (e) {
+        logError(`Error in AI classification: ${e.message}`);
+        Logger.log('Continuing without AI classification...');
+    }
+    
+    return true;
+}
+
+function getAIContextHash(websiteIndex) {
+    // A change on the website, in the prompt or in the label set makes every cached answer stale
+    const pages = websiteIndex.map(page => `${page.url} ${page.summary}`);
+    const context = [AI_PROMPT_VERSION, AI_SYSTEM_PROMPT, AI_CLASSIFICATIONS.join(',')].concat(pages).join('\n');
+    return Utilities.computeDigest(Utilities.DigestAlgorithm.MD5, context, Utilities.Charset.UTF_8)
+        .map(byte => ((byte + 256) % 256).toString(16).padStart(2, '0'))
+        .join('');
+}
+
+function getAICacheKey(searchTerm, model, contextHash) {
+    return `${normalizeKeywordText(searchTerm)}|${model}|${contextHash}`;
+}
+
+function loadAICache() {
+    const cache = new Map();
+    if (CONFIG.AI_CACHE_TTL_DAYS <= 0) {
+        return cache;
+    }
+    
+    try {
+        const sheet = getSpreadsheet().getSheetByName(getAccountTabName(AI_CACHE_TAB));
+        if (!sheet) {
+            return cache;
+        }
+        
+        // Expired entries are dropped here and pruned from the tab right away,
+        // a run served entirely from the cache would otherwise never save it
+        const oldestValid = addDays(getToday(), -CONFIG.AI_CACHE_TTL_DAYS);
+        let expired = 0;
+        readSheetRecords(sheet).filter(record => record['Search Term']).forEach(record => {
+            const classifiedOn = formatSheetDate(record['Classified On']).substring(0, 10);
+            if (classifiedOn < oldestValid) {
+                expired++;
+                return;
+            }
+            
+            cache.set(getAICacheKey(record['Search Term'], record['Model'], record['Context Hash']), {
+                searchTerm: String(record['Search Term']),
+                model: String(record['Model']),
+                contextHash: String(record['Context Hash']),
+                classification: record['Classification'],
+                confidence: record['Confidence'],
+                reasoning: record['Reasoning'],
+                adGroup: String(record['Ad Group'] || ''),
+                classifiedOn: classifiedOn,
+                cost: Number(record['Cost']) || 0
+            });
+        });
+        
+        if (expired > 0) {
+            Logger.log(`AI cache: removed ${expired} entries older than ${CONFIG.AI_CACHE_TTL_DAYS} days`);
+            saveAICache(cache);
+        }
+    } catch (e) {
+        logError(`Error loading the AI cache: ${e.message}`);
+    }
+    
+    return cache;
+}
+
+function applyCachedClassification(row, cache, contextHash) {
+    const entry = cache.get(getAICacheKey(row[COL.SEARCH_TERM], CONFIG.AI_MODEL, contextHash));
+    if (!entry) {
+        return false;
+    }
+    
+    row[COL.AI_CLASSIFICATION] = entry.classification;
+    row[COL.AI_CONFIDENCE] = entry.confidence;
+    row[COL.AI_REASONING] = entry.reasoning;
+    row[COL.LABEL_SOURCE] = 'AI';
+    applyAIAdGroupSuggestion(row, entry.adGroup);
+    aiCacheHits++;
+    aiCacheSavings += entry.cost;
+    return true;
+}
+
+function addToAICache(cache, row, contextHash, result) {
+    if (CONFIG.AI_CACHE_TTL_DAYS <= 0) {
+        return;
+    }
+    
+    cache.set(getAICacheKey(row[COL.SEARCH_TERM], CONFIG.AI_MODEL, contextHash), {
+        searchTerm: row[COL.SEARCH_TERM],
+        model: CONFIG.AI_MODEL,
+        contextHash: contextHash,
+        classification: row[COL.AI_CLASSIFICATION],
+        confidence: row[COL.AI_CONFIDENCE],
+        reasoning: row[COL.AI_REASONING],
+        adGroup: result.adGroup,
+        classifiedOn: getToday(),
+        cost: result.cost
+    });
+}
+
+function saveAICache(cache) {
+    if (CONFIG.AI_CACHE_TTL_DAYS <= 0) {
+        return;
+    }
+    
+    try {
+        const sheet = getOrCreateSheet(getAccountTabName(AI_CACHE_TAB), AI_CACHE_HEADERS);
+        const rows = Array.from(cache.values()).map(entry => [
+            entry.searchTerm,
+            entry.model,
+            entry.contextHash,
+            entry.classification,
+            entry.confidence,
+            entry.reasoning,
+            entry.adGroup,
+            entry.classifiedOn,
+            entry.cost
+        ]);
+        
+        sheet.clear();
+        sheet.getRange(1, 1, 1, AI_CACHE_HEADERS.length).setValues([AI_CACHE_HEADERS]);
+        if (rows.length > 0) {
+            sheet.getRange(2, 1, rows.length, AI_CACHE_HEADERS.length).setValues(rows);
+        }
+        
+        if (!sheet.isSheetHidden()) {
+            sheet.hideSheet();
+        }
+    } catch (e) {
+        logError(`Error saving the AI cache: ${e.message}`);
+    }
+}
+
+function getAIAPIKey() {
+    try {
+        const ss = getSpreadsheet();
+        const apiKeyRange = ss.getRangeByName(CONFIG.AI_API_KEY_NAMED_RANGE);
+        const apiKey = apiKeyRange ? String(apiKeyRange.getValue()).trim() : '';
+        if (apiKey) {
+            return apiKey;
+        }
+        if (!apiKeyRange) {
+            Logger.log(`Named range '${CONFIG.AI_API_KEY_NAMED_RANGE}' not found in the spreadsheet`);
+        }
+    } catch (e) {
+        logError(`Error getting API key from the spreadsheet: ${e.message}`);
+    }
+    
+    // Script properties are only available where the script runtime offers them
+    if (typeof PropertiesService !== 'undefined' && CONFIG.AI_API_KEY_PROPERTY) {
+        try {
+            return PropertiesService.getScriptProperties().getProperty(CONFIG.AI_API_KEY_PROPERTY);
+        } catch (e) {
+            logError(`Error getting API key from script properties: ${e.message}`);
+        }
+    }
+    
+    return null;
+}
+
+function buildWebsiteIndex(websiteUrl) {
+    const pages = [];
+    const origin = getUrlOrigin(websiteUrl);
+    if (!origin) {
+        Logger.log(`WEBSITE_URL '${websiteUrl}' is not a valid http(s) URL, skipping the website crawl`);
+        return pages;
+    }
+    
+    // The sitemap lists the pages that matter, without one we follow links from the start page
+    const sitemapUrls = readSitemapUrls(origin);
+    const queue = [websiteUrl].concat(sitemapUrls);
+    const seen = new Set();
+    Logger.log(sitemapUrls.length > 0 ? `Found ${sitemapUrls.length} pages in the sitemap` : 'No sitemap found, following links from the start page');
+    
+    // Failed and non-HTML pages count toward the limit too, broken sitemap links must not use up the fetch quota
+    let fetched = 0;
+    while (queue.length > 0 && fetched < CONFIG.CRAWL_MAX_PAGES) {
+        const url = queue.shift().split('#')[0];
+        if (seen.has(url) || !isSameSite(url, origin)) {
+            continue;
+        }
+        seen.add(url);
+        fetched++;
+        
+        const html = fetchPage(url);
+        if (!html) {
+            continue;
+        }
+        
+        pages.push(createPageSummary(url, html));
+        if (sitemapUrls.length === 0) {
+            extractLinks(html, url).forEach(link => queue.push(link));
+        }
+    }
+    
+    Logger.log(`Indexed ${pages.length} of ${fetched} fetched pages of ${origin}`);
+    return pages;
+}
+
+function fetchPage(url) {
+    try {
+        const response = UrlFetchApp.fetch(url, {
+            muteHttpExceptions: true,
+            followRedirects: true
+        });
+        
+        if (response.getResponseCode() === 200) {
+            return response.getContentText();
+        }
+        Logger.log(`Failed to fetch ${url}. Response code: ${response.getResponseCode()}`);
+    } catch (e) {
+        logError(`Error fetching ${url}: ${e.message}`);
+    }
+    return '';
+}
+
+function readSitemapUrls(origin) {
+    const xml = fetchPage(`${origin}/sitemap.xml`);
+    if (!xml) {
+        return [];
+    }
+    
+    const locations = extractSitemapLocations(xml);
+    if (!/<sitemapindex/i.test(xml)) {
+        return locations;
+    }
+    
+    // A sitemap index points to the real sitemaps, a few of them cover enough pages
+    let urls = [];
+    locations.slice(0, 3).forEach(sitemapUrl => {
+        urls = urls.concat(extractSitemapLocations(fetchPage(sitemapUrl)));
+    });
+    return urls;
+}
+
+function extractSitemapLocations(xml) {
+    const locations = [];
+    const pattern = /<loc>\s*(?:<!\[CDATA\[)?([\s\S]*?)(?:\]\]>)?\s*<\/loc>/gi;
+    let match;
+    while ((match = pattern.exec(xml)) !== null) {
+        locations.push(decodeHtmlEntities(match[1].trim()));
+    }
+    return locations;
+}
+
+function extractLinks(html, pageUrl) {
+    const links = [];
+    const pattern = /<a\s[^>]*href\s*=\s*["']([^"']+)["']/gi;
+    let match;
+    while ((match = pattern.exec(html)) !== null) {
+        const href = decodeHtmlEntities(match[1].trim());
+        // Skip anchors, mail and phone links and files that are not pages
+        if (/^(#|mailto:|tel:|javascript:)/i.test(href) || /\.(pdf|jpe?g|png|gif|svg|webp|zip|docx?|xlsx?|mp4)(\?|$)/i.test(href)) {
+            continue;
+        }
+        links.push(resolveUrl(href, pageUrl));
+    }
+    return links;
+}
+
+function getUrlOrigin(url) {
+    const match = String(url).match(/^(https?:\/\/[^\/?#]+)/i);
+    return match ? match[1].toLowerCase() : '';
+}
+
+// Sites are often reachable with and without www and over http or https, the sitemap may list any form
+function isSameSite(url, origin) {
+    const host = value => getUrlOrigin(value).replace(/^https?:\/\/(www\.)?/, '');
+    return host(url) !== '' && host(url) === host(origin);
+}
+
+function resolveUrl(href, baseUrl) {
+    if (/^https?:\/\//i.test(href)) {
+        return href;
+    }
+    if (href.startsWith('//')) {
+        return baseUrl.split(':')[0] + ':' + href;
+    }
+    if (href.startsWith('/')) {
+        return getUrlOrigin(baseUrl) + href;
+    }
+    
+    // Relative to the folder of the current page
+    const base = baseUrl.split(/[?#]/)[0];
+    return base.substring(0, base.lastIndexOf('/') + 1) + href;
+}
+
+function createPageSummary(url, html) {
+    const title = htmlToText(extractTagContents(html, 'title')[0] || '');
+    const headings = ['h1', 'h2', 'h3']
+        .reduce((all, tag) => all.concat(extractTagContents(html, tag)), [])
+        .map(heading => htmlToText(heading))
+        .filter(heading => heading !== '');
+    
+    // Main content without navigation, header and footer where the page marks it up
+    const main = extractTagContents(html, 'main')[0] || extractTagContents(html, 'article')[0] ||
+        html.replace(/<head[\s\S]*?<\/head>/i, ' ').replace(/<(nav|header|footer)[^>]*>[\s\S]*?<\/\1>/gi, ' ');
+    const text = htmlToText(main);
+    
+    const summary = [headings.slice(0, 8).join(' | '), text].filter(part => part !== '').join(' - ');
+    return {
+        url: url,
+        title: title,
+        summary: summary.substring(0, PAGE_SUMMARY_CHARS),
+        titleWords: getContentWords(`${title} ${headings.join(' ')}`),
+        words: getContentWords(text)
+    };
+}
+
+function extractTagContents(html, tag) {
+    const contents = [];
+    const pattern = new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)<\\/${tag}>`, 'gi');
+    let match;
+    while ((match = pattern.exec(html)) !== null) {
+        contents.push(match[1]);
+    }
+    return contents;
+}
+
+function htmlToText(html) {
+    return decodeHtmlEntities(String(html)
+        .replace(/<(script|style|noscript|svg)[^>]*>[\s\S]*?<\/\1>/gi, ' ') // Remove scripts, styles and icons
+        .replace(/<[^>]+>/g, ' '))                                          // Remove HTML tags
+        .replace(/\s+/g, ' ')                                               // Normalize whitespace
+        .trim();
+}
+
+function decodeHtmlEntities(text) {
+    return text
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&quot;/g, '"')
+        .replace(/&#0?39;|&apos;/g, "'")
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&#(\d+);/g, (entity, code) => String.fromCharCode(Number(code)))
+        .replace(/&amp;/g, '&');
+}
+
+function getContentWords(text) {
+    // Same normalization as keyword matching, short words carry too little meaning to match on
+    return Array.from(new Set(normalizeKeywordText(text).split(' ')
+        .filter(word => word.length > 2)
+        .map(word => singularize(word))));
+}
+
+function scorePage(page, termWords) {
+    // Words in the title and headings count double
+    const titleWords = new Set(page.titleWords);
+    const words = new Set(page.words);
+    return termWords.reduce((score, word) => score + (titleWords.has(word) ? 2 : words.has(word) ? 1 : 0), 0);
+}
+
+function findRelevantPages(websiteIndex, searchTerms, limit) {
+    if (websiteIndex.length === 0) {
+        return [];
+    }
+    
+    const termWords = getContentWords(searchTerms.join(' '));
+    const scored = websiteIndex
+        .map((page, index) => ({ page: page, index: index, score: scorePage(page, termWords) }))
+        .filter(item => item.score > 0)
+        .sort((a, b) => b.score - a.score || a.index - b.index);
+    
+    // Without any overlap the start page still tells the model what the business does
+    return scored.length > 0 ? scored.slice(0, limit).map(item => item.page) : websiteIndex.slice(0, 1);
+}
+
+function assignLandingPages(data, websiteIndex) {
+    let matched = 0;
+    
+    data.forEach(row => {
+        const termWords = getContentWords(row[COL.SEARCH_TERM]);
+        let best = null;
+        let bestScore = 0;
+        
+        websiteIndex.forEach(page => {
+            const score = scorePage(page, termWords);
+            if (score > bestScore) {
+                best = page;
+                bestScore = score;
+            }
+        });
+        
+        row[COL.LANDING_PAGE] = best ? best.url : '';
+        if (best) {
+            matched++;
+        }
+    });
+    
+    Logger.log(`Landing pages: matched ${matched} of ${data.length} search terms to a page`);
+}
+
+function estimateAICosts(data, websiteIndex) {
+    let estimatedCost = 0;
+    for (let i = 0; i < data.length; i += CONFIG.BATCH_SIZE) {
+        estimatedCost += estimateBatchCost(data.slice(i, i + CONFIG.BATCH_SIZE), websiteIndex);
+    }
+    return estimatedCost;
+}
+
+function estimateBatchCost(searchTerms, websiteIndex) {
+    // Rough estimate of 4 characters per token, based on the prompt that is actually sent
+    const prompt = createClassificationPrompt(searchTerms, websiteIndex);
+    const inputTokens = (AI_SYSTEM_PROMPT.length + prompt.length) / 4;
+    const outputTokens = Math.min(searchTerms.length * AI_OUTPUT_TOKENS_PER_TERM, AI_MAX_OUTPUT_TOKENS);
+    
+    const pricing = MODEL_PRICING[CONFIG.AI_MODEL];
+    const inputCost = (inputTokens / 1000) * pricing.input;
+    const outputCost = (outputTokens / 1000) * pricing.output;
+    
+    return inputCost + outputCost;
+}
+
+function fitsAIBudget(searchTerms, websiteIndex) {
+    return totalCost + estimateBatchCost(searchTerms, websiteIndex) <= CONFIG.MAX_TOTAL_COST;
+}
+
+function markSkippedClassifications(rows) {
+    rows.forEach(row => {
+        row[COL.AI_CLASSIFICATION] = 'SKIPPED';
+        row[COL.AI_CONFIDENCE] = '';
+        row[COL.AI_REASONING] = `Not classified, the AI budget of $${CONFIG.MAX_TOTAL_COST} was reached`;
+    });
+}
+
+function classifySearchTermsBatch(searchTerms, apiKey, websiteIndex) {
+    const costBefore = totalCost;
+    
+    try {
+        // Results are matched back to the rows by term, so a skipped or reordered term only affects itself
+        const results = requestClassifications(searchTerms, apiKey, websiteIndex);
+        
+        // Ask once more for the terms the model skipped or labelled with something unknown
+        const missing = searchTerms.filter(term => !results.has(getClassificationKey(term[COL.SEARCH_TERM])));
+        if (missing.length > 0 && !fitsAIBudget(missing, websiteIndex)) {
+            Logger.log(`Not re-asking for ${missing.length} terms, it would exceed the AI budget`);
+        } else if (missing.length > 0) {
+            Logger.log(`Re-asking for ${missing.length} of ${searchTerms.length} terms without a valid classification`);
+            requestClassifications(missing, apiKey, websiteIndex).forEach((result, key) => results.set(key, result));
+        }
+        
+        // The cost per term is what a later cache hit saves
+        const costPerTerm = (totalCost - costBefore) / searchTerms.length;
+        return searchTerms.map(term => Object.assign({ cost: costPerTerm }, results.get(getClassificationKey(term[COL.SEARCH_TERM])) || {
+            classification: 'REVIEW',
+            confidence: '',
+            reasoning: 'No valid AI classification returned - manual review required'
+        }));
+        
+    } catch (e) {
+        logError(`Error classifying batch: ${e.message}`);
+        // Return default classifications for this batch
+        return searchTerms.map(() => ({
+            classification: 'REVIEW',
+            confidence: '',
+            reasoning: 'Error in AI classification - manual review required'
+        }));
+    }
+}
+
+function requestClassifications(searchTerms, apiKey, websiteIndex) {
+    const prompt = createClassificationPrompt(searchTerms, websiteIndex);
+    const response = callAIModel(prompt, apiKey);
+    return parseClassificationResponse(response, searchTerms);
+}
+
+function getClassificationKey(searchTerm) {
+    return normalizeKeywordText(searchTerm);
+}
+
+function createClassificationPrompt(searchTerms, websiteIndex) {
+    const searchTermsList = searchTerms.map(term => term[COL.SEARCH_TERM]).join('\n- ');
+    
+    let prompt = `Analyze the relevance of these search terms to this business:
+
+SEARCH TERMS:
+- ${searchTermsList}
+
+`;
+
+    // Only the pages that share the most words with this batch, to keep the prompt small
+    const pages = findRelevantPages(websiteIndex, searchTerms.map(term => term[COL.SEARCH_TERM]), CONFIG.PAGES_PER_BATCH);
+    if (pages.length > 0) {
+        prompt += `WEBSITE PAGES:
+${pages.map(page => `URL: ${page.url}\nTITLE: ${page.title}\nSUMMARY: ${page.summary}`).join('\n\n')}
+
+`;
+    }
+
+    // The existing ad groups closest in wording, so the model can judge which one really fits the intent
+    const candidates = searchTerms.map(term => [term[COL.SEARCH_TERM], adGroupCandidates.get(getClassificationKey(term[COL.SEARCH_TERM])) || []])
+        .filter(entry => entry[1].length > 0);
+    if (candidates.length > 0) {
+        prompt += `CANDIDATE AD GROUPS (campaign > ad group):
+${candidates.map(entry => `- ${entry[0]}:\n${entry[1].map(candidate => `  - ${candidate.name}`).join('\n')}`).join('\n')}
+
+`;
+    }
+
+    prompt += `For each search term, classify as:
+- RELEVANT: Directly related to products/services
+- SEMI_RELEVANT: Somewhat related, could be valuable
+- IRRELEVANT: Not related to business
+- COMPETITOR: Competitor brand names
+- GENERIC: Too broad/generic terms
+${candidates.length > 0 ? `
+For each search term with candidate ad groups, pick the one that fits its intent best, or an empty string if none fits.
+` : ''}
+Respond with only a JSON object in this format, with one item for every search term:
+{"results": [{"term": "<search term exactly as given>", "classification": "<${AI_CLASSIFICATIONS.join(' | ')}>", "confidence": <number from 0 to 1>, "reasoning": "<brief explanation>"${candidates.length > 0 ? ', "ad_group": "<candidate ad group exactly as given, or empty>"' : ''}}]}
+`;
+
+    return prompt;
+}
+
+const PAGE_SUMMARY_CHARS = 500; // Length of the per-page summary sent to the AI model
+
+const AI_SYSTEM_PROMPT = "You are a search term classifier for Google Ads. Analyze search terms for business relevance.";
+const AI_PROMPT_VERSION = 4; // Increase when the classification prompt changes, so cached answers are not reused
+const AI_TEMPERATURE = 0.3;
+const AI_MAX_OUTPUT_TOKENS = 1000;
+const AI_OUTPUT_TOKENS_PER_TERM = 75; // Estimate for one JSON result with a short reasoning and an ad group
+const AI_AD_GROUP_CANDIDATES = 3; // Closest existing ad groups per term the AI chooses from
+const AI_MAX_RETRY_DELAY_SECONDS = 60;
+
+// Each provider turns the prompt into a request and reads text and token usage from its response
+const AI_PROVIDERS = {
+    OPENAI: { buildRequest: buildOpenAIRequest, parseResponse: parseOpenAIResponse },
+    AZURE_OPENAI: { buildRequest: buildAzureOpenAIRequest, parseResponse: parseOpenAIResponse },
+    OPENAI_COMPATIBLE: { buildRequest: buildOpenAIRequest, parseResponse: parseOpenAIResponse },
+    ANTHROPIC: { buildRequest: buildAnthropicRequest, parseResponse: parseAnthropicResponse },
+    GEMINI: { buildRequest: buildGeminiRequest, parseResponse: parseGeminiResponse }
+};
+
+function callAIModel(prompt, apiKey) {
+    const provider = AI_PROVIDERS[CONFIG.AI_PROVIDER];
+    const request = provider.buildRequest(prompt, apiKey);
+    const responseData = fetchWithRetries(request);
+    const result = provider.parseResponse(responseData);
+    
+    // Track usage and calculate cost
+    totalInputTokens += result.inputTokens;
+    totalOutputTokens += result.outputTokens;
+    apiCallCount++;
+    
+    const pricing = MODEL_PRICING[CONFIG.AI_MODEL];
+    const inputCost = (result.inputTokens / 1000) * pricing.input;
+    const outputCost = (result.outputTokens / 1000) * pricing.output;
+    const callCost = inputCost + outputCost;
+    totalCost += callCost;
+    
+    Logger.log(`API call ${apiCallCount}: $${callCost.toFixed(4)} (${result.inputTokens} input, ${result.outputTokens} output tokens)`);
+    
+    return result.text;
+}
+
+function fetchWithRetries(request) {
+    for (let attempt = 0; ; attempt++) {
+        let response = null;
+        let failure = '';
+        
+        try {
+            response = UrlFetchApp.fetch(request.url, {
+                method: "post",
+                contentType: "application/json",
+                headers: request.headers,
+                payload: JSON.stringify(request.payload),
+                muteHttpExceptions: true
+            });
+        } catch (e) {
+            // Network errors and timeouts are worth another try
+            failure = e.message;
+        }
+        
+        const code = response ? response.getResponseCode() : 0;
+        if (response && code >= 200 && code < 300) {
+            const responseData = JSON.parse(response.getContentText());
+            if (responseData.error) {
+                throw new Error(`${CONFIG.AI_PROVIDER} API error: ${responseData.error.message || JSON.stringify(responseData.error)}`);
+            }
+            return responseData;
+        }
+        
+        if (response) {
+            failure = `HTTP ${code}: ${getAPIErrorMessage(response.getContentText())}`;
+        }
+        
+        // Older models like gpt-4 and some gateways reject response_format, try once more without it.
+        // Other bad requests, like an unknown model or too many tokens, keep JSON mode and fail below.
+        if (code === 400 && request.payload.response_format && /response_format|json/i.test(failure)) {
+            Logger.log(`${CONFIG.AI_PROVIDER} API rejected the request with JSON mode (${failure}), retrying without it`);
+            delete request.payload.response_format;
+            aiJsonModeUnsupported = true;
+            attempt--;
+            continue;
+        }
+        
+        // Client errors like a wrong key or model are not retried
+        const retryable = !response || code === 429 || code >= 500;
+        if (!retryable || attempt >= CONFIG.AI_MAX_RETRIES) {
+            throw new Error(`${CONFIG.AI_PROVIDER} API error (${failure})`);
+        }
+        
+        const delaySeconds = getRetryDelaySeconds(response, attempt);
+        Logger.log(`${CONFIG.AI_PROVIDER} API call failed (${failure}), retry ${attempt + 1}/${CONFIG.AI_MAX_RETRIES} in ${delaySeconds}s`);
+        Utilities.sleep(delaySeconds * 1000);
+    }
+}
+
+function getRetryDelaySeconds(response, attempt) {
+    // Retry-After is either a number of seconds or an HTTP date
+    const headers = response ? response.getHeaders() : {};
+    const name = Object.keys(headers).find(header => header.toLowerCase() === 'retry-after');
+    let delaySeconds = CONFIG.AI_RETRY_BASE_DELAY_SECONDS * Math.pow(2, attempt);
+    
+    if (name) {
+        const value = String(headers[name]).trim();
+        const seconds = /^\d+(\.\d+)?$/.test(value) ? Number(value) : (Date.parse(value) - Date.now()) / 1000;
+        if (isFinite(seconds)) {
+            delaySeconds = Math.max(seconds, 0);
+        }
+    }
+    
+    return Math.min(Math.ceil(delaySeconds), AI_MAX_RETRY_DELAY_SECONDS);
+}
+
+function getAPIErrorMessage(text) {
+    try {
+        const error = JSON.parse(text).error;
+        if (error) {
+            return error.message || JSON.stringify(error);
+        }
+    } catch (e) {
+        // Not JSON, e.g. an HTML error page from a gateway
+    }
+    return String(text).substring(0, 200);
+}
+
+function getAIBaseUrl() {
+    return CONFIG.AI_BASE_URL.replace(/\/+$/, '');
+}
+
+function buildOpenAIChatPayload(prompt, includeModel) {
+    const payload = {
+        messages: [
+            { role: "system", content: AI_SYSTEM_PROMPT },
+            { role: "user", content: prompt }
+        ],
+        temperature: AI_TEMPERATURE,
+        max_tokens: AI_MAX_OUTPUT_TOKENS
+    };
+    
+    // The prompt asks for JSON as well, so models without JSON mode still answer in the expected format
+    if (!aiJsonModeUnsupported) {
+        payload.response_format = { type: "json_object" };
+    }
+    
+    if (includeModel) {
+        payload.model = CONFIG.AI_MODEL;
+    }
+    return payload;
+}
+
+function buildOpenAIRequest(prompt, apiKey) {
+    // OpenAI-compatible gateways share the OpenAI request shape under their own base URL
+    const baseUrl = CONFIG.AI_PROVIDER === 'OPENAI_COMPATIBLE' ? getAIBaseUrl() : 'https://api.openai.com/v1';
+    return {
+        url: `${baseUrl}/chat/completions`,
+        headers: apiKey ? { "Authorization": `Bearer ${apiKey}` } : {},
+        payload: buildOpenAIChatPayload(prompt, true)
+    };
+}
+
+function buildAzureOpenAIRequest(prompt, apiKey) {
+    // Azure selects the model through the deployment name in the URL
+    return {
+        url: `${getAIBaseUrl()}/openai/deployments/${encodeURIComponent(CONFIG.AI_MODEL)}/chat/completions?api-version=${CONFIG.AZURE_API_VERSION}`,
+        headers: { "api-key": apiKey },
+        payload: buildOpenAIChatPayload(prompt, false)
+    };
+}
+
+function parseOpenAIResponse(responseData) {
+    // Some OpenAI-compatible gateways leave out the usage block
+    const usage = responseData.usage || {};
+    return {
+        text: responseData.choices[0].message.content,
+        inputTokens: usage.prompt_tokens || 0,
+        outputTokens: usage.completion_tokens || 0
+    };
+}
+
+function buildAnthropicRequest(prompt, apiKey) {
+    return {
+        url: 'https://api.anthropic.com/v1/messages',
+        headers: {
+            "x-api-key": apiKey,
+            "anthropic-version": "2023-06-01"
+        },
+        payload: {
+            model: CONFIG.AI_MODEL,
+            system: AI_SYSTEM_PROMPT,
+            messages: [{ role: "user", content: prompt }],
+            temperature: AI_TEMPERATURE,
+            max_tokens: AI_MAX_OUTPUT_TOKENS
+        }
+    };
+}
+
+function parseAnthropicResponse(responseData) {
+    return {
+        text: responseData.content.filter(block => block.type === 'text').map(block => block.text).join(''),
+        inputTokens: responseData.usage.input_tokens,
+        outputTokens: responseData.usage.output_tokens
+    };
+}
 
-`;
+function buildGeminiRequest(prompt, apiKey) {
+    return {
+        url: `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(CONFIG.AI_MODEL)}:generateContent`,
+        headers: { "x-goog-api-key": apiKey },
+        payload: {
+            systemInstruction: { parts: [{ text: AI_SYSTEM_PROMPT }] },
+            contents: [{ role: "user", parts: [{ text: prompt }] }],
+            generationConfig: {
+                temperature: AI_TEMPERATURE,
+                maxOutputTokens: AI_MAX_OUTPUT_TOKENS,
+                responseMimeType: "application/json"
+            }
+        }
+    };
+}
+
+function parseGeminiResponse(responseData) {
+    const candidate = responseData.candidates && responseData.candidates[0];
+    if (!candidate || !candidate.content) {
+        throw new Error(`GEMINI returned no content${candidate ? ` (finish reason ${candidate.finishReason})` : ''}`);
+    }
+    
+    const usage = responseData.usageMetadata || {};
+    return {
+        text: candidate.content.parts.map(part => part.text || '').join(''),
+        inputTokens: usage.promptTokenCount || 0,
+        outputTokens: usage.candidatesTokenCount || 0
+    };
+}
+
+function parseClassificationResponse(response, searchTerms) {
+    const results = new Map();
+    const expected = new Set(searchTerms.map(term => getClassificationKey(term[COL.SEARCH_TERM])));
+    
+    let parsed;
+    try {
+        // Some models wrap the JSON in a code block or add a sentence around it
+        const text = String(response);
+        parsed = JSON.parse(text.substring(text.indexOf('{'), text.lastIndexOf('}') + 1));
+    } catch (e) {
+        Logger.log(`AI response is not valid JSON: ${e.message}`);
+        return results;
+    }
+    
+    const items = Array.isArray(parsed.results) ? parsed.results : [];
+    let invalidCount = 0;
+    
+    items.forEach(item => {
+        const key = getClassificationKey(item && item.term ? item.term : '');
+        const classification = String(item && item.classification || '').trim().toUpperCase();
+        
+        if (!expected.has(key) || !AI_CLASSIFICATIONS.includes(classification)) {
+            invalidCount++;
+            return;
+        }
+        
+        const confidence = Number(item.confidence);
+        results.set(key, {
+            classification: classification,
+            confidence: isFinite(confidence) ? Math.min(Math.max(confidence, 0), 1) : '',
+            reasoning: String(item.reasoning || ''),
+            adGroup: String(item.ad_group || '').trim()
+        });
+    });
+    
+    if (invalidCount > 0) {
+        Logger.log(`Ignored ${invalidCount} AI results with an unknown term or classification`);
+    }
+    
+    return results;
+}
+
+function logError(message) {
+    Logger.log(message);
+    runErrors.push(message);
+}
+
+function sendRunReport(results, errors, failure) {
+    // Settings may not have loaded when the run failed early, fall back to the script defaults
+    const emails = CONFIG.REPORT_EMAILS || REPORT_EMAILS;
+    const webhookUrl = CONFIG.REPORT_WEBHOOK_URL !== undefined ? CONFIG.REPORT_WEBHOOK_URL : REPORT_WEBHOOK_URL;
+    if (emails.length === 0 && !webhookUrl) {
+        return;
+    }
+    
+    try {
+        const report = createRunReport(results, errors, failure);
+        
+        if (emails.length > 0) {
+            MailApp.sendEmail({ to: emails.join(','), subject: report.subject, body: report.text });
+            Logger.log(`Sent the run report to ${emails.join(', ')}`);
+        }
+        
+        if (webhookUrl) {
+            // A plain text message is understood by both Slack and Teams incoming webhooks
+            const response = UrlFetchApp.fetch(webhookUrl, {
+                method: 'post',
+                contentType: 'application/json',
+                payload: JSON.stringify({ text: `*${report.subject}*\n${report.text}` }),
+                muteHttpExceptions: true
+            });
+            if (response.getResponseCode() >= 300) {
+                Logger.log(`Error posting the run report to the webhook. Response code: ${response.getResponseCode()}`);
+            } else {
+                Logger.log('Posted the run report to the webhook');
+            }
+        }
+    } catch (e) {
+        Logger.log(`Error sending the run report: ${e.message}`);
+    }
+}
+
+function createRunReport(results, errors, failure) {
+    const account = AdsApp.currentAccount();
+    const succeeded = results.filter(result => !result.error);
+    const sum = field => succeeded.reduce((total, result) => total + (result[field] || 0), 0);
+    const sortBy = (CONFIG.REPORT_SORT_BY || REPORT_SORT_BY) === 'CONVERSION_VALUE' ? 'conversionValue' : 'conversions';
+    
+    let status = 'COMPLETED';
+    if (failure || (results.length > 0 && succeeded.length === 0)) {
+        status = 'FAILED';
+    } else if (succeeded.some(result => result.partial)) {
+        status = 'PARTIAL';
+    } else if (errors.length > 0 || succeeded.length < results.length) {
+        status = 'COMPLETED WITH ERRORS';
+    }
+    
+    const top = succeeded
+        .reduce((all, result) => all.concat(result.topOpportunities || []), [])
+        .sort((a, b) => b[sortBy] - a[sortBy] || b.cost - a.cost)
+        .slice(0, CONFIG.REPORT_TOP_N || REPORT_TOP_N);
+    
+    const lines = [
+        `Account: ${account.getName()} (${account.getCustomerId()})${results.length > 1 ? `, ${succeeded.length} of ${results.length} child accounts processed` : ''}`,
+        `Status: ${status}`,
+        `Search terms scanned: ${sum('scanned')}`,
+        `Opportunities: ${sum('opportunities')} (${sum('newOpportunities')} new since the last run)`,
+        `AI cost: $${sum('aiCost').toFixed(4)}`
+    ];
+    
+    if (top.length > 0) {
+        lines.push('', `Top ${top.length} opportunities by ${sortBy === 'conversions' ? 'conversions' : 'conversion value'}:`);
+        top.forEach((item, index) => {
+            const where = results.length > 1 ? `${item.account} / ${item.campaign}` : item.campaign;
+            lines.push(`${index + 1}. ${item.searchTerm} (${where}): ${item.conversions.toFixed(1)} conv., value ${item.conversionValue.toFixed(2)}, cost ${item.cost.toFixed(2)}`);
+        });
+    }
+    
+    const allErrors = errors.slice();
+    if (failure) {
+        allErrors.unshift(`Run failed: ${failure.message || failure}`);
+    }
+    results.filter(result => result.error).forEach(result => {
+        allErrors.push(`${result.accountName || result.accountId} failed: ${result.error}`);
+    });
+    if (allErrors.length > 0) {
+        // Per-row errors can repeat thousands of times, the log has the full list
+        lines.push('', `Errors (${allErrors.length}):`);
+        allErrors.slice(0, 20).forEach(message => lines.push(`- ${message}`));
+        if (allErrors.length > 20) {
+            lines.push(`- ... and ${allErrors.length - 20} more, see the script logs`);
+        }
+    }
+    
+    if (spreadsheet) {
+        lines.push('', `Sheet: ${spreadsheet.getUrl()}`);
+    }
+    
+    const preview = AdsApp.getExecutionInfo().isPreview() ? ' (preview)' : '';
+    return {
+        subject: `Keyword expansion ${status.toLowerCase()}: ${sum('opportunities')} opportunities - ${account.getName()}${preview}`,
+        text: lines.join('\n')
+    };
+}
+
+function logCostSummary() {
+    if (CONFIG.USE_AI_CLASSIFICATION && (apiCallCount > 0 || aiCacheHits > 0)) {
+        Logger.log(`=== AI COST SUMMARY (${CONFIG.AI_PROVIDER} ${CONFIG.AI_MODEL}) ===`);
+        Logger.log(`Total API calls: ${apiCallCount}`);
+        Logger.log(`Cache hits: ${aiCacheHits} (saved $${aiCacheSavings.toFixed(4)})`);
+        Logger.log(`Total input tokens: ${totalInputTokens}`);
+        Logger.log(`Total output tokens: ${totalOutputTokens}`);
+        Logger.log(`Total cost: $${totalCost.toFixed(4)}`);
+        if (apiCallCount > 0) {
+            Logger.log(`Average cost per search term: $${(totalCost / (apiCallCount * CONFIG.BATCH_SIZE)).toFixed(6)}`);
+        }
+        Logger.log('===========================');
+    }
+}
+
+function getSpreadsheet() {
+    if (spreadsheet) {
+        return spreadsheet;
+    }
+    
+    if (!SHEET_URL) {
+        Logger.log("Creating new spreadsheet...");
+        const accountName = AdsApp.currentAccount().getName();
+        const spreadsheetName = `Keyword Expansion Script - ${accountName}`;
+        spreadsheet = SpreadsheetApp.create(spreadsheetName);
+        const url = spreadsheet.getUrl();
+        Logger.log("Created new spreadsheet: " + url);
+        
+        // Settings, review decisions, history, the AI cache and classification rules live in the spreadsheet,
+        // a new one every run starts all of them over
+        logError(`SHEET_URL is empty, so every run creates a new spreadsheet and nothing from earlier runs is kept. Set SHEET_URL to ${url} to keep using this one.`);
+    } else {
+        Logger.log("Opening existing spreadsheet...");
+        spreadsheet = SpreadsheetApp.openByUrl(SHEET_URL);
+    }
+    
+    return spreadsheet;
+}
+
+function getOrCreateSheet(name, headers) {
+    const ss = getSpreadsheet();
+    let sheet = ss.getSheetByName(name);
+    
+    if (!sheet) {
+        sheet = insertSheetOnce(ss, name);
+        sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+        Logger.log(`Created new sheet: ${name}`);
+    }
+    
+    return sheet;
+}
+
+function insertSheetOnce(ss, name) {
+    // Child accounts of a manager account run in parallel, another one may have added the tab in the meantime
+    try {
+        return ss.insertSheet(name);
+    } catch (e) {
+        const sheet = ss.getSheetByName(name);
+        if (!sheet) {
+            throw e;
+        }
+        return sheet;
+    }
+}
+
+function getAccountTabName(name) {
+    return accountTabSuffix ? `${name} - ${accountTabSuffix}` : name;
+}
+
+function getOpportunitiesTabName() {
+    // In combined MCC output all accounts share the main tab
+    return CONFIG.MCC_OUTPUT_MODE === 'PER_ACCOUNT' ? getAccountTabName(CONFIG.TAB) : CONFIG.TAB;
+}
+
+// Every exporter takes the rows, the rows still waiting for a decision and the tab name.
+// Account-only exporters change the account itself, so in MCC mode they run in the child accounts.
+const EXPORTERS = {
+    SHEET: { write: exportToSheet },
+    EDITOR_CSV: { write: exportEditorCsv },
+    BULK_UPLOAD: { write: previewBulkUpload, accountOnly: true },
+    JSON: { write: exportJsonFile }
+};
+
+function runExporters(rows, pendingRows, tabName, scope) {
+    let failure = null;
+    
+    CONFIG.EXPORT_FORMATS.forEach(format => {
+        const exporter = EXPORTERS[format];
+        if ((scope === 'ACCOUNT' && !exporter.accountOnly) || (scope === 'MANAGER' && exporter.accountOnly)) {
+            return;
+        }
+        
+        // One failing format does not stop the others, the first failure is raised afterwards
+        try {
+            exporter.write(rows, pendingRows, tabName);
+        } catch (e) {
+            failure = failure || e;
+        }
+    });
+    
+    if (failure) {
+        throw failure;
+    }
+}
+
+function exportToSheet(data, pendingRows, tabName) {
+    // Previous rows without a decision are carried over together with their actions and notes
+    const rows = mergeWithPendingRows(data, pendingRows || []);
+    
+    try {
+        const ss = getSpreadsheet();
+        
+        // Create or clear the sheet
+        let sheet;
+        if (ss.getSheetByName(tabName)) {
+            sheet = ss.getSheetByName(tabName);
+            sheet.clear();
+            Logger.log(`Cleared existing sheet: ${tabName}`);
+        } else {
+            sheet = insertSheetOnce(ss, tabName);
+            Logger.log(`Created new sheet: ${tabName}`);
+        }
+        
+        const headers = HEADERS;
+        
+        // Write headers and data to sheet in a single operation
+        if (rows.length > 0) {
+            Logger.log(`Writing ${rows.length} rows to spreadsheet...`);
+            sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+            sheet.getRange(2, 1, rows.length, headers.length).setValues(rows);
+            
+            // Action dropdown for the review workflow
+            const actionRule = SpreadsheetApp.newDataValidation()
+                .requireValueInList(REVIEW_ACTIONS, true)
+                .setAllowInvalid(false)
+                .build();
+            sheet.getRange(2, COL.ACTION + 1, rows.length, 1).setDataValidation(actionRule);
+            
+            Logger.log(`Successfully wrote ${rows.length} rows of data to the spreadsheet.`);
+        } else {
+            Logger.log("No qualifying search terms found.");
+            sheet.getRange(1, 1).setValue("No qualifying search terms found for the specified criteria.");
+        }
+        
+    } catch (e) {
+        logError(`Error in exportToSheet: ${e.message}`);
+        Logger.log("Attempting to save the data to Drive instead...");
+        
+        // Fallback: a JSON file in Drive, or the log when Drive fails as well
+        const file = rows.length > 0 ? writeJsonFile(rows, tabName) : null;
+        if (file) {
+            Logger.log(`Saved the search term data to Drive: ${file.getUrl()}`);
+        } else if (rows.length > 0) {
+            Logger.log("=== SEARCH TERM DATA ===");
+            Logger.log(HEADERS.join(" | "));
+            rows.forEach(row => {
+                Logger.log(row.join(" | "));
+            });
+            Logger.log("=== END DATA ===");
+        } else {
+            Logger.log("No qualifying search terms found for the specified criteria.");
+        }
+        
+        throw e; // Re-throw the error so the main function knows something went wrong
+    }
+}
+
+function getExportKeywords(rows) {
+    const keywords = [];
+    
+    // Terms that were resolved or dropped since the last run are no longer opportunities,
+    // and terms of other sources have no Search ad group to go into
+    rows.filter(row => row[COL.RUN_STATUS] !== 'RESOLVED' && row[COL.RUN_STATUS] !== 'DROPPED')
+        .filter(row => !row[COL.SOURCE] || row[COL.SOURCE] === 'SEARCH')
+        .forEach(row => {
+        const matchTypes = row[COL.SUGGESTED_MATCH_TYPE] ? [row[COL.SUGGESTED_MATCH_TYPE]] : getAutoApplyMatchTypes();
+        const maxCpc = CONFIG.EXPORT_USE_AVERAGE_CPC && row[COL.CLICKS] > 0 ? Math.round(row[COL.COST] / row[COL.CLICKS] * 100) / 100 : '';
+        
+        matchTypes.forEach(matchType => keywords.push({
+            campaign: row[COL.CAMPAIGN],
+            adGroup: row[COL.AD_GROUP],
+            keyword: row[COL.SEARCH_TERM],
+            matchType: matchType.charAt(0) + matchType.slice(1).toLowerCase(),
+            maxCpc: maxCpc
+        }));
+    });
+    
+    return keywords;
+}
+
+function exportEditorCsv(rows, pendingRows, tabName) {
+    const keywords = getExportKeywords(rows);
+    const lines = [EDITOR_CSV_HEADERS].concat(keywords.map(keyword => [
+        keyword.campaign, keyword.adGroup, keyword.keyword, keyword.matchType, keyword.maxCpc
+    ]));
+    
+    const file = saveExportFile(`${tabName}.csv`, lines.map(line => toCsvLine(line)).join('\n'), MimeType.CSV);
+    if (file) {
+        Logger.log(`Saved ${keywords.length} keywords for Google Ads Editor: ${file.getUrl()}`);
+    }
+}
+
+function toCsvLine(values) {
+    return values.map(value => {
+        const text = String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',');
+}
+
+function previewBulkUpload(rows) {
+    const keywords = getExportKeywords(rows);
+    if (keywords.length === 0) {
+        Logger.log('Bulk upload: no keywords to upload');
+        return;
+    }
+    
+    try {
+        const upload = AdsApp.bulkUploads().newCsvUpload(EDITOR_CSV_HEADERS, { moneyInMicros: false });
+        upload.forCampaignManagement();
+        keywords.forEach(keyword => upload.append({
+            'Campaign': keyword.campaign,
+            'Ad group': keyword.adGroup,
+            'Keyword': keyword.keyword,
+            'Match type': keyword.matchType,
+            'Max CPC': keyword.maxCpc
+        }));
+        
+        // Only a preview, the results show up under Bulk actions > Uploads for review
+        upload.preview();
+        Logger.log(`Bulk upload: previewed ${keywords.length} keywords, review them under Bulk actions > Uploads`);
+    } catch (e) {
+        logError(`Error creating the bulk upload: ${e.message}`);
+    }
+}
+
+function exportJsonFile(rows, pendingRows, tabName) {
+    const file = writeJsonFile(rows, tabName);
+    if (file) {
+        Logger.log(`Saved ${rows.length} rows as JSON: ${file.getUrl()}`);
+    }
+}
+
+function writeJsonFile(rows, tabName) {
+    const account = AdsApp.currentAccount();
+    const content = {
+        generatedOn: Utilities.formatDate(new Date(), account.getTimeZone(), 'yyyy-MM-dd HH:mm:ss'),
+        account: { id: account.getCustomerId(), name: account.getName() },
+        dateRange: runDateWindow || getDateWindow(),
+        target: { type: CONFIG.TARGET_TYPE, value: CONFIG.TARGET_VALUE },
+        aggregationLevel: CONFIG.AGGREGATION_LEVEL,
+        aiModel: CONFIG.USE_AI_CLASSIFICATION ? `${CONFIG.AI_PROVIDER} ${CONFIG.AI_MODEL}` : null,
+        rowCount: rows.length,
+        rows: rows.map(row => {
+            const record = {};
+            HEADERS.forEach((header, index) => {
+                record[header] = row[index];
+            });
+            return record;
+        })
+    };
+    
+    return saveExportFile(`${tabName}.json`, JSON.stringify(content, null, 2), MimeType.JSON);
+}
+
+function saveExportFile(fileName, content, mimeType) {
+    try {
+        const folders = DriveApp.getFoldersByName(CONFIG.EXPORT_DRIVE_FOLDER);
+        const folder = folders.hasNext() ? folders.next() : DriveApp.createFolder(CONFIG.EXPORT_DRIVE_FOLDER);
+        
+        // A timestamp per run keeps earlier exports for comparison
+        const timestamp = Utilities.formatDate(new Date(), AdsApp.currentAccount().getTimeZone(), 'yyyy-MM-dd HHmm');
+        return folder.createFile(`${timestamp} ${fileName}`, content, mimeType);
+    } catch (e) {
+        logError(`Error saving ${fileName} to Drive: ${e.message}`);
+        return null;
+    }
+}
+
+function applyKeywordOpportunities(data) {
+    const matchTypes = getAutoApplyMatchTypes();
+    const candidates = data.filter(row => isAutoApplyCandidate(row));
+    const mode = getChangeMode();
+    
+    Logger.log(`Auto-apply (${mode}): ${candidates.length} of ${data.length} qualifying terms are eligible`);
+    
+    if (candidates.length === 0) {
+        return;
+    }
+    
+    const adGroups = getEntitiesById(AdsApp.adGroups(), candidates.map(row => row[COL.AD_GROUP_ID]));
+    const logEntries = [];
+    let keywordCount = 0;
+    
+    for (const row of candidates) {
+        const adGroup = adGroups.get(String(row[COL.AD_GROUP_ID]));
+        
+        for (const matchType of matchTypes) {
+            if (keywordCount >= CONFIG.MAX_KEYWORDS_PER_RUN) {
+                break;
+            }
+            
+            const keywordText = formatKeywordText(row[COL.SEARCH_TERM], matchType);
+            const result = adGroup ? addKeywordToAdGroup(adGroup, keywordText) : 'SKIPPED: ad group not found';
+            
+            if (result === 'ADDED' || result === 'PLANNED') {
+                keywordCount++;
+            }
+            
+            logEntries.push(createChangeLogEntry(mode, 'ADD KEYWORD', keywordText, matchType,
+                row[COL.CAMPAIGN], row[COL.AD_GROUP], result));
+        }
+        
+        if (keywordCount >= CONFIG.MAX_KEYWORDS_PER_RUN) {
+            Logger.log(`Reached the maximum of ${CONFIG.MAX_KEYWORDS_PER_RUN} keywords per run`);
+            break;
+        }
+    }
+    
+    Logger.log(`Auto-apply (${mode}): ${keywordCount} keywords ${CONFIG.DRY_RUN ? 'planned' : 'added'}`);
+    appendToChangesLog(logEntries);
+}
+
+function getAutoApplyMatchTypes() {
+    if (CONFIG.AUTO_APPLY_MATCH_TYPE === 'BOTH') {
+        return ['EXACT', 'PHRASE'];
+    }
+    if (CONFIG.AUTO_APPLY_MATCH_TYPE === 'EXACT' || CONFIG.AUTO_APPLY_MATCH_TYPE === 'PHRASE') {
+        return [CONFIG.AUTO_APPLY_MATCH_TYPE];
+    }
+    throw new Error(`Unknown AUTO_APPLY_MATCH_TYPE '${CONFIG.AUTO_APPLY_MATCH_TYPE}'. Use 'EXACT', 'PHRASE' or 'BOTH'.`);
+}
+
+function isAutoApplyCandidate(row) {
+    // Keywords can only be added to Search ad groups, terms of other sources are moved by hand
+    if (!row[COL.AD_GROUP_ID] || (row[COL.SOURCE] && row[COL.SOURCE] !== 'SEARCH')) {
+        return false;
+    }
+    
+    // Without AI classification every term a rule did not label is a candidate
+    if (!CONFIG.USE_AI_CLASSIFICATION && row[COL.AI_CLASSIFICATION] === '') {
+        return true;
+    }
+    
+    return CONFIG.AUTO_APPLY_CLASSIFICATIONS.includes(row[COL.AI_CLASSIFICATION]);
+}
+
+function getChangeMode() {
+    if (CONFIG.DRY_RUN) {
+        return 'DRY RUN';
+    }
+    return AdsApp.getExecutionInfo().isPreview() ? 'PREVIEW' : 'LIVE';
+}
+
+function getEntitiesById(selector, ids) {
+    const entities = new Map();
+    const uniqueIds = Array.from(new Set(ids.map(id => String(id)))).filter(id => id !== '');
+    
+    if (uniqueIds.length === 0) {
+        return entities;
+    }
+    
+    try {
+        const iterator = selector
+            .withIds(uniqueIds.map(id => Number(id)))
+            .get();
+        
+        while (iterator.hasNext()) {
+            const entity = iterator.next();
+            entities.set(String(entity.getId()), entity);
+        }
+    } catch (e) {
+        logError(`Error loading entities by ID: ${e}`);
+    }
+    
+    return entities;
+}
+
+function formatKeywordText(searchTerm, matchType) {
+    if (matchType === 'EXACT') {
+        return `[${searchTerm}]`;
+    }
+    if (matchType === 'PHRASE') {
+        return `"${searchTerm}"`;
+    }
+    return searchTerm;
+}
+
+function addKeywordToAdGroup(adGroup, keywordText) {
+    if (CONFIG.DRY_RUN) {
+        return 'PLANNED';
+    }
+    
+    try {
+        const operation = adGroup.newKeywordBuilder()
+            .withText(keywordText)
+            .build();
+        
+        if (operation.isSuccessful()) {
+            return 'ADDED';
+        }
+        return `FAILED: ${operation.getErrors().join(', ')}`;
+    } catch (e) {
+        return `FAILED: ${e.message}`;
+    }
+}
+
+function addNegativeKeywordToCampaign(campaign, keywordText) {
+    if (CONFIG.DRY_RUN) {
+        return 'PLANNED';
+    }
+    
+    try {
+        campaign.createNegativeKeyword(keywordText);
+        return 'ADDED';
+    } catch (e) {
+        return `FAILED: ${e.message}`;
+    }
+}
+
+function createChangeLogEntry(mode, change, keywordText, matchType, campaignName, adGroupName, result) {
+    const account = AdsApp.currentAccount();
+    const timestamp = Utilities.formatDate(new Date(), account.getTimeZone(), 'yyyy-MM-dd HH:mm:ss');
+    return [timestamp, mode, change, keywordText, matchType, campaignName, adGroupName, result, account.getName()];
+}
+
+function appendToChangesLog(entries) {
+    if (entries.length === 0) {
+        return;
+    }
+    
+    try {
+        const sheet = getOrCreateSheet(CONFIG.CHANGES_LOG_TAB, CHANGES_LOG_HEADERS);
+        
+        // Logs created before the Account column was added get the new header
+        if (sheet.getLastColumn() < CHANGES_LOG_HEADERS.length) {
+            sheet.getRange(1, 1, 1, CHANGES_LOG_HEADERS.length).setValues([CHANGES_LOG_HEADERS]);
+        }
+        
+        // Child accounts of a manager account write in parallel, appendRow never overwrites another run's rows
+        entries.forEach(entry => sheet.appendRow(entry));
+        Logger.log(`Wrote ${entries.length} entries to the ${CONFIG.CHANGES_LOG_TAB} tab`);
+    } catch (e) {
+        logError(`Error writing to ${CONFIG.CHANGES_LOG_TAB}: ${e.message}`);
+        entries.forEach(entry => Logger.log(entry.join(" | ")));
+    }
+}
 
-    if (websiteContent) {
-        prompt += `WEBSITE CONTENT:
-${websiteContent}...
+function getNegativeCandidateReason(metrics, status, profile) {
+    // Terms that are already keywords or negatives need no action
+    if (status === 'ADDED' || status === 'EXCLUDED') {
+        return '';
+    }
+    
+    if (metrics.cost < CONFIG.NEGATIVE_MIN_COST) {
+        return '';
+    }
+    
+    if (metrics.conversions === 0) {
+        return 'NO_CONVERSIONS';
+    }
+    
+    // Off target when the metric is worse than the target by NEGATIVE_TARGET_MULTIPLIER
+    const target = TARGET_TYPES[profile.targetType];
+    const actual = metrics[target.metric];
+    const offTarget = target.operator === '<=' ?
+        actual > profile.targetValue * CONFIG.NEGATIVE_TARGET_MULTIPLIER :
+        actual < profile.targetValue / CONFIG.NEGATIVE_TARGET_MULTIPLIER;
+    if (actual !== null && offTarget) {
+        return `${profile.targetType}_OFF_TARGET`;
+    }
+    
+    return '';
+}
 
-`;
+function createNegativeCandidate(searchTerm, reason, details) {
+    // Irrelevant and competitor terms are blocked everywhere, poor performers only where they ran
+    let matchType = 'EXACT';
+    let level = 'AD_GROUP';
+    
+    if (reason === 'NO_CONVERSIONS') {
+        level = 'CAMPAIGN';
+    } else if (reason.indexOf('AI_') === 0 || reason.indexOf('RULE_') === 0) {
+        matchType = 'PHRASE';
+        level = 'SHARED_LIST';
     }
+    
+    return Object.assign({
+        searchTerm: searchTerm,
+        reason: reason,
+        matchType: matchType,
+        level: level,
+        keywordText: formatKeywordText(searchTerm, matchType)
+    }, details);
+}
 
-    prompt += `For each search term, classify as:
-- RELEVANT: Directly related to products/services
-- SEMI_RELEVANT: Somewhat related, could be valuable
-- IRRELEVANT: Not related to business
-- COMPETITOR: Competitor brand names
-- GENERIC: Too broad/generic terms
+function addAINegativeCandidates(negativeCandidates, data) {
+    // Labels from classification rules count as well, also when AI classification is off
+    data.forEach(row => {
+        const classification = row[COL.AI_CLASSIFICATION];
+        if (CONFIG.NEGATIVE_AI_CLASSIFICATIONS.includes(classification)) {
+            const source = row[COL.LABEL_SOURCE] === 'RULE' ? 'RULE' : 'AI';
+            negativeCandidates.push(createNegativeCandidate(row[COL.SEARCH_TERM], `${source}_${classification}`, {
+                campaignId: row[COL.CAMPAIGN_ID],
+                campaignName: row[COL.CAMPAIGN],
+                adGroupId: row[COL.AD_GROUP_ID],
+                adGroupName: row[COL.AD_GROUP],
+                impressions: row[COL.IMPRESSIONS],
+                clicks: row[COL.CLICKS],
+                cost: row[COL.COST],
+                conversions: row[COL.CONVERSIONS],
+                conversionValue: row[COL.CONVERSION_VALUE],
+                cpa: row[COL.CPA],
+                roas: row[COL.ROAS]
+            }));
+        }
+    });
+}
 
-Respond in this exact format for each term:
-TERM: [search term]
-CLASSIFICATION: [classification]
-REASONING: [brief explanation]
+function dedupeNegativeCandidates(negativeCandidates) {
+    // The same term can show up in several ad groups, keep one candidate per term and target
+    const seen = new Set();
+    
+    return negativeCandidates.filter(candidate => {
+        let scope = '';
+        if (candidate.level === 'CAMPAIGN') {
+            scope = candidate.campaignId;
+        } else if (candidate.level === 'AD_GROUP') {
+            scope = candidate.adGroupId;
+        }
+        
+        const key = `${candidate.level}|${scope}|${candidate.keywordText.toLowerCase()}`;
+        if (seen.has(key)) {
+            return false;
+        }
+        seen.add(key);
+        return true;
+    });
+}
 
-`;
+function exportNegativeCandidates(negatives) {
+    const rows = negatives.map(candidate => [
+        candidate.searchTerm,
+        candidate.reason,
+        candidate.keywordText,
+        candidate.matchType,
+        candidate.level,
+        candidate.campaignName,
+        candidate.adGroupName,
+        candidate.impressions,
+        candidate.clicks,
+        candidate.cost,
+        candidate.conversions,
+        candidate.conversionValue,
+        candidate.cpa,
+        candidate.roas
+    ]);
+    
+    writeTab(getAccountTabName(CONFIG.NEGATIVES_TAB), NEGATIVE_HEADERS, rows, 'No negative keyword candidates found for the specified criteria.');
+    Logger.log(`Found ${negatives.length} negative keyword candidates`);
+}
 
-    return prompt;
+function writeTab(name, headers, rows, emptyMessage) {
+    try {
+        const ss = getSpreadsheet();
+        let sheet = ss.getSheetByName(name);
+        
+        if (sheet) {
+            sheet.clear();
+        } else {
+            sheet = insertSheetOnce(ss, name);
+        }
+        
+        if (rows.length > 0) {
+            sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+            sheet.getRange(2, 1, rows.length, headers.length).setValues(rows);
+            Logger.log(`Wrote ${rows.length} rows to the ${name} tab`);
+        } else {
+            sheet.getRange(1, 1).setValue(emptyMessage);
+        }
+    } catch (e) {
+        logError(`Error writing the ${name} tab: ${e.message}`);
+    }
 }
 
-function callOpenAIAPI(prompt, apiKey) {
-    const payload = {
-        model: OPENAI_MODEL,
-        messages: [
-            {
-                role: "system",
-                content: "You are a search term classifier for Google Ads. Analyze search terms for business relevance."
-            },
-            {
-                role: "user",
-                content: prompt
-            }
-        ],
-        temperature: 0.3,
-        max_tokens: 1000
-    };
+function pushNegativesToSharedList(negatives) {
+    const listNegatives = negatives.filter(candidate => candidate.level === 'SHARED_LIST');
+    const mode = getChangeMode();
     
-    const options = {
-        method: "post",
-        headers: {
-            "Authorization": `Bearer ${apiKey}`,
-            "Content-Type": "application/json"
-        },
-        payload: JSON.stringify(payload),
-        muteHttpExceptions: true
-    };
+    if (listNegatives.length === 0) {
+        Logger.log('No shared list negative candidates to push');
+        return;
+    }
     
-    const response = UrlFetchApp.fetch("https://api.openai.com/v1/chat/completions", options);
-    const responseData = JSON.parse(response.getContentText());
+    const logEntries = [];
+    const listLabel = `Shared list: ${CONFIG.NEGATIVE_SHARED_LIST_NAME}`;
     
-    if (responseData.error) {
-        throw new Error(`OpenAI API error: ${responseData.error.message}`);
+    try {
+        const list = CONFIG.DRY_RUN ? null : getOrCreateNegativeKeywordList(CONFIG.NEGATIVE_SHARED_LIST_NAME);
+        
+        listNegatives.forEach(candidate => {
+            let result = 'PLANNED';
+            
+            if (list) {
+                try {
+                    list.addNegativeKeyword(candidate.keywordText);
+                    result = 'ADDED';
+                } catch (e) {
+                    result = `FAILED: ${e.message}`;
+                }
+            }
+            
+            logEntries.push(createChangeLogEntry(mode, 'ADD NEGATIVE', candidate.keywordText, candidate.matchType,
+                listLabel, '', result));
+        });
+        
+        Logger.log(`Negative keywords (${mode}): ${listNegatives.length} keywords ${CONFIG.DRY_RUN ? 'planned for' : 'pushed to'} "${CONFIG.NEGATIVE_SHARED_LIST_NAME}"`);
+        
+    } catch (e) {
+        logError(`Error pushing negatives to shared list "${CONFIG.NEGATIVE_SHARED_LIST_NAME}": ${e.message}`);
     }
     
-    // Track usage and calculate cost
-    const usage = responseData.usage;
-    totalInputTokens += usage.prompt_tokens;
-    totalOutputTokens += usage.completion_tokens;
-    apiCallCount++;
+    appendToChangesLog(logEntries);
+}
+
+function getOrCreateNegativeKeywordList(name) {
+    const lists = AdsApp.negativeKeywordLists()
+        .withCondition(`shared_set.name = "${name}"`)
+        .get();
     
-    const pricing = OPENAI_PRICING[OPENAI_MODEL];
-    const inputCost = (usage.prompt_tokens / 1000) * pricing.input;
-    const outputCost = (usage.completion_tokens / 1000) * pricing.output;
-    const callCost = inputCost + outputCost;
-    totalCost += callCost;
+    if (lists.hasNext()) {
+        return lists.next();
+    }
+    
+    const operation = AdsApp.newNegativeKeywordListBuilder()
+        .withName(name)
+        .build();
     
-    Logger.log(`API call ${apiCallCount}: $${callCost.toFixed(4)} (${usage.prompt_tokens} input, ${usage.completion_tokens} output tokens)`);
+    if (!operation.isSuccessful()) {
+        throw new Error(`Could not create negative keyword list: ${operation.getErrors().join(', ')}`);
+    }
     
-    return responseData.choices[0].message.content;
+    // A new list has no campaigns attached yet, link it in the Shared Library to take effect
+    Logger.log(`Created shared negative keyword list "${name}". Attach it to your campaigns to take effect.`);
+    return operation.getResult();
+}
+
+function getTermKey(searchTerm, campaignId) {
+    return `${String(searchTerm).toLowerCase()}|${campaignId}`;
 }
 
-function parseClassificationResponse(response, expectedCount) {
-    const results = [];
-    const lines = response.split('\n');
+function readSheetRecords(sheet) {
+    const lastRow = sheet.getLastRow();
+    const lastColumn = sheet.getLastColumn();
+    
+    if (lastRow < 2 || lastColumn < 1) {
+        return [];
+    }
     
-    let currentTerm = '';
-    let currentClassification = '';
-    let currentReasoning = '';
+    // Map every row to an object keyed by header, so older column layouts can still be read
+    const values = sheet.getRange(1, 1, lastRow, lastColumn).getValues();
+    const headers = values[0].map(header => String(header).trim());
     
-    for (const line of lines) {
-        if (line.startsWith('TERM:')) {
-            // Save previous result if exists
-            if (currentTerm && currentClassification) {
-                results.push({
-                    classification: currentClassification,
-                    reasoning: currentReasoning
-                });
+    return values.slice(1).map(row => {
+        const record = {};
+        headers.forEach((header, index) => {
+            if (header) {
+                record[header] = row[index];
             }
+        });
+        return record;
+    });
+}
+
+function recordToRow(record) {
+    return HEADERS.map(header => record[header] !== undefined ? record[header] : '');
+}
+
+function formatSheetDate(value) {
+    // Sheets turns date-like strings into Date objects when they are written
+    if (value instanceof Date) {
+        return Utilities.formatDate(value, AdsApp.currentAccount().getTimeZone(), 'yyyy-MM-dd');
+    }
+    return String(value || '');
+}
+
+function getToday() {
+    return Utilities.formatDate(new Date(), AdsApp.currentAccount().getTimeZone(), 'yyyy-MM-dd');
+}
+
+function addDays(dateString, days) {
+    const parts = dateString.split('-').map(Number);
+    const date = new Date(Date.UTC(parts[0], parts[1] - 1, parts[2] + days));
+    return date.toISOString().substring(0, 10);
+}
+
+function processReviewDecisions() {
+    const review = {
+        pendingRows: [],
+        suppressed: loadSuppressedTerms()
+    };
+    
+    const tabName = getOpportunitiesTabName();
+    let records = [];
+    try {
+        const sheet = getSpreadsheet().getSheetByName(tabName);
+        records = sheet ? readSheetRecords(sheet).filter(record => record['Search Term']) : [];
+    } catch (e) {
+        logError(`Error reading review decisions: ${e.message}`);
+        return review;
+    }
+    
+    // The combined tab of a manager account run holds the rows of every account
+    if (accountTabSuffix && tabName === CONFIG.TAB) {
+        const customerId = AdsApp.currentAccount().getCustomerId();
+        records = records.filter(record => String(record['Account ID']) === customerId);
+    }
+    
+    const decided = records.filter(record => REVIEW_ACTIONS.includes(record['Action']));
+    Logger.log(`Review: found ${decided.length} decisions in ${records.length} rows of the ${tabName} tab`);
+    
+    const mode = getChangeMode();
+    const adGroups = getEntitiesById(AdsApp.adGroups(), decided
+        .filter(record => record['Action'] === 'Add as exact' || record['Action'] === 'Add as phrase')
+        .filter(record => !getReviewActionRejection(record['Action'], String(record['Source'] || 'SEARCH')))
+        .map(record => record['Ad Group ID']));
+    const campaigns = getEntitiesById(AdsApp.campaigns(), decided
+        .filter(record => record['Action'] === 'Add as negative')
+        .map(record => record['Campaign ID']));
+    const logEntries = [];
+    const today = getToday();
+    
+    records.forEach(record => {
+        const action = record['Action'];
+        const searchTerm = String(record['Search Term']);
+        let handled = false;
+        
+        // Terms from PMax, DSA and Shopping have no Search ad group to add to, the reviewer moves them by hand.
+        // The action is cleared so the row stays in the sheet without being tried again.
+        const rejection = getReviewActionRejection(action, String(record['Source'] || 'SEARCH'));
+        if (rejection) {
+            const negative = action === 'Add as negative';
+            const matchType = action === 'Add as phrase' ? 'PHRASE' : 'EXACT';
+            logEntries.push(createChangeLogEntry(mode, negative ? 'REVIEW: ADD NEGATIVE' : 'REVIEW: ADD KEYWORD',
+                formatKeywordText(searchTerm, matchType), matchType, record['Campaign'], negative ? '' : record['Ad Group'], `REJECTED: ${rejection}`));
+            record['Action'] = '';
+            record['Notes'] = [record['Notes'], `${action} rejected: ${rejection}`].filter(note => note).join(' | ');
+        } else if (action === 'Add as exact' || action === 'Add as phrase') {
+            const matchType = action === 'Add as exact' ? 'EXACT' : 'PHRASE';
+            const keywordText = formatKeywordText(searchTerm, matchType);
+            const adGroup = adGroups.get(String(record['Ad Group ID']));
+            const result = adGroup ? addKeywordToAdGroup(adGroup, keywordText) : 'SKIPPED: ad group not found';
+            
+            handled = result === 'ADDED';
+            logEntries.push(createChangeLogEntry(mode, 'REVIEW: ADD KEYWORD', keywordText, matchType,
+                record['Campaign'], record['Ad Group'], result));
+        } else if (action === 'Add as negative') {
+            const keywordText = formatKeywordText(searchTerm, 'EXACT');
+            const campaign = campaigns.get(String(record['Campaign ID']));
+            const result = campaign ? addNegativeKeywordToCampaign(campaign, keywordText) : 'SKIPPED: campaign not found';
             
-            currentTerm = line.replace('TERM:', '').trim();
-            currentClassification = '';
-            currentReasoning = '';
-        } else if (line.startsWith('CLASSIFICATION:')) {
-            currentClassification = line.replace('CLASSIFICATION:', '').trim();
-        } else if (line.startsWith('REASONING:')) {
-            currentReasoning = line.replace('REASONING:', '').trim();
+            handled = result === 'ADDED';
+            logEntries.push(createChangeLogEntry(mode, 'REVIEW: ADD NEGATIVE', keywordText, 'EXACT',
+                record['Campaign'], '', result));
+        } else if (action === 'Reject' || action === 'Snooze') {
+            review.suppressed.set(getTermKey(searchTerm, record['Campaign ID']), {
+                searchTerm: searchTerm,
+                campaignId: String(record['Campaign ID']),
+                campaignName: record['Campaign'],
+                decision: action.toUpperCase(),
+                decidedOn: today,
+                snoozeUntil: action === 'Snooze' ? addDays(today, CONFIG.SNOOZE_DAYS) : '',
+                cost: Number(record['Cost']) || 0,
+                conversions: Number(record['Conversions']) || 0,
+                conversionValue: Number(record['Conv. Value']) || 0
+            });
+            handled = true;
         }
-    }
+        
+        // Rows without a decision, or whose change could not be applied, stay in the sheet.
+        // RESOLVED and DROPPED rows are only shown in the run that noticed the change.
+        const closed = record['Run Status'] === 'RESOLVED' || record['Run Status'] === 'DROPPED';
+        if (!handled && !closed) {
+            review.pendingRows.push(recordToRow(record));
+        }
+    });
     
-    // Add the last result
-    if (currentTerm && currentClassification) {
-        results.push({
-            classification: currentClassification,
-            reasoning: currentReasoning
-        });
+    appendToChangesLog(logEntries);
+    return review;
+}
+
+function getReviewActionRejection(action, source) {
+    if ((action === 'Add as exact' || action === 'Add as phrase') && source !== 'SEARCH') {
+        return `${source} terms are added to a Search ad group by hand, see Suggested Ad Group`;
+    }
+    if (action === 'Add as negative' && (source === 'PMAX' || source === 'SHOPPING')) {
+        return `${source} campaigns take no campaign negatives from this script, add it by hand`;
     }
+    return '';
+}
+
+function loadSuppressedTerms() {
+    const suppressed = new Map();
     
-    // Ensure we have the right number of results
-    while (results.length < expectedCount) {
-        results.push({
-            classification: 'REVIEW',
-            reasoning: 'Failed to parse AI response - manual review required'
+    try {
+        const sheet = getSpreadsheet().getSheetByName(getAccountTabName(SUPPRESSED_TAB));
+        if (!sheet) {
+            return suppressed;
+        }
+        
+        readSheetRecords(sheet).filter(record => record['Search Term']).forEach(record => {
+            suppressed.set(getTermKey(record['Search Term'], record['Campaign ID']), {
+                searchTerm: String(record['Search Term']),
+                campaignId: String(record['Campaign ID']),
+                campaignName: record['Campaign'],
+                decision: record['Decision'],
+                decidedOn: formatSheetDate(record['Decided On']),
+                snoozeUntil: formatSheetDate(record['Snooze Until']),
+                cost: Number(record['Cost']) || 0,
+                conversions: Number(record['Conversions']) || 0,
+                conversionValue: Number(record['Conv. Value']) || 0
+            });
         });
+    } catch (e) {
+        logError(`Error loading suppressed terms: ${e.message}`);
     }
     
-    return results.slice(0, expectedCount);
+    return suppressed;
 }
 
-function logCostSummary() {
-    if (USE_OPENAI_CLASSIFICATION && apiCallCount > 0) {
-        Logger.log('=== OPENAI COST SUMMARY ===');
-        Logger.log(`Total API calls: ${apiCallCount}`);
-        Logger.log(`Total input tokens: ${totalInputTokens}`);
-        Logger.log(`Total output tokens: ${totalOutputTokens}`);
-        Logger.log(`Total cost: $${totalCost.toFixed(4)}`);
-        Logger.log(`Average cost per search term: $${(totalCost / (apiCallCount * BATCH_SIZE)).toFixed(6)}`);
-        Logger.log('===========================');
+function saveSuppressedTerms(suppressed) {
+    try {
+        const sheet = getOrCreateSheet(getAccountTabName(SUPPRESSED_TAB), SUPPRESSED_HEADERS);
+        const rows = Array.from(suppressed.values()).map(entry => [
+            entry.searchTerm,
+            entry.campaignId,
+            entry.campaignName,
+            entry.decision,
+            entry.decidedOn,
+            entry.snoozeUntil,
+            entry.cost,
+            entry.conversions,
+            entry.conversionValue
+        ]);
+        
+        sheet.clear();
+        sheet.getRange(1, 1, 1, SUPPRESSED_HEADERS.length).setValues([SUPPRESSED_HEADERS]);
+        if (rows.length > 0) {
+            sheet.getRange(2, 1, rows.length, SUPPRESSED_HEADERS.length).setValues(rows);
+        }
+        
+        if (!sheet.isSheetHidden()) {
+            sheet.hideSheet();
+        }
+    } catch (e) {
+        logError(`Error saving suppressed terms: ${e.message}`);
+    }
+}
+
+function filterSuppressedTerms(data, suppressed) {
+    if (suppressed.size === 0) {
+        return data;
     }
+    
+    const today = getToday();
+    let hiddenCount = 0;
+    let releasedCount = 0;
+    
+    const filtered = data.filter(row => {
+        const key = getTermKey(row[COL.SEARCH_TERM], row[COL.CAMPAIGN_ID]);
+        const entry = suppressed.get(key);
+        
+        if (!entry) {
+            return true;
+        }
+        
+        const snoozeExpired = entry.snoozeUntil !== '' && entry.snoozeUntil <= today;
+        if (snoozeExpired || hasMaterialChange(entry, row)) {
+            // Show the term again, a new decision starts a new suppression
+            suppressed.delete(key);
+            releasedCount++;
+            return true;
+        }
+        
+        hiddenCount++;
+        return false;
+    });
+    
+    Logger.log(`Review: hid ${hiddenCount} suppressed terms, ${releasedCount} came back after a change`);
+    return filtered;
+}
+
+function hasMaterialChange(entry, row) {
+    const relativeChange = (before, after) => Math.abs(after - before) / Math.max(before, 1);
+    
+    return relativeChange(entry.conversions, row[COL.CONVERSIONS]) >= CONFIG.SUPPRESSION_CHANGE_THRESHOLD ||
+        relativeChange(entry.conversionValue, row[COL.CONVERSION_VALUE]) >= CONFIG.SUPPRESSION_CHANGE_THRESHOLD;
 }
 
-function exportToSheet(data) {
+function updateRunHistory(data, coverageIndexes, suppressed) {
+    const tabName = getAccountTabName(CONFIG.HISTORY_TAB);
+    const today = getToday();
+    const history = new Map();
+    
     try {
-        // Handle spreadsheet
-        let ss;
-        if (!SHEET_URL) {
-            Logger.log("Creating new spreadsheet...");
-            const accountName = AdsApp.currentAccount().getName();
-            const spreadsheetName = `Keyword Expansion Script - ${accountName}`;
-            ss = SpreadsheetApp.create(spreadsheetName);
-            const url = ss.getUrl();
-            Logger.log("Created new spreadsheet: " + url);
-        } else {
-            Logger.log("Opening existing spreadsheet...");
-            ss = SpreadsheetApp.openByUrl(SHEET_URL);
+        const sheet = getSpreadsheet().getSheetByName(tabName);
+        if (sheet) {
+            readSheetRecords(sheet).filter(record => record['Search Term']).forEach(record => {
+                history.set(getTermKey(record['Search Term'], record['Campaign ID']), HISTORY_HEADERS.map(header => record[header] === undefined ? '' : record[header]));
+            });
+        }
+    } catch (e) {
+        logError(`Error reading the ${tabName} tab: ${e.message}`);
+        return [];
+    }
+    
+    const H = HISTORY_HEADERS.reduce((columns, header, index) => {
+        columns[header] = index;
+        return columns;
+    }, {});
+    const counts = { NEW: 0, RECURRING: 0, RESOLVED: 0, DROPPED: 0 };
+    const seenKeys = new Set();
+    
+    data.forEach(row => {
+        const key = getTermKey(row[COL.SEARCH_TERM], row[COL.CAMPAIGN_ID]);
+        
+        // A term can qualify in several ad groups of one campaign, it is counted once per run
+        // and its history row sums the metrics of all of them
+        if (seenKeys.has(key)) {
+            const entry = history.get(key);
+            row[COL.RUN_STATUS] = entry[H['Run Status']];
+            entry[H['Impressions']] += row[COL.IMPRESSIONS];
+            entry[H['Clicks']] += row[COL.CLICKS];
+            entry[H['Cost']] += row[COL.COST];
+            entry[H['Conversions']] += row[COL.CONVERSIONS];
+            entry[H['Conv. Value']] += row[COL.CONVERSION_VALUE];
+            return;
         }
         
-        // Create or clear the sheet
-        let sheet;
-        if (ss.getSheetByName(TAB)) {
-            sheet = ss.getSheetByName(TAB);
-            sheet.clear();
-            Logger.log(`Cleared existing sheet: ${TAB}`);
-        } else {
-            sheet = ss.insertSheet(TAB);
-            Logger.log(`Created new sheet: ${TAB}`);
-        }
-        
-        // Create headers
-        const headers = [
-            'Search Term',
-            'Status',
-            'Campaign',
-            'Ad Group',
-            'Impressions',
-            'Clicks',
-            'Cost',
-            'Conversions',
-            'Conv. Value',
-            'CPA',
-            'ROAS',
-            'AI Classification',
-            'AI Reasoning'
-        ];
+        const previous = history.get(key);
+        const runStatus = previous ? 'RECURRING' : 'NEW';
         
-        // Write headers and data to sheet in a single operation
-        if (data.length > 0) {
-            Logger.log(`Writing ${data.length} rows to spreadsheet...`);
-            sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
-            sheet.getRange(2, 1, data.length, headers.length).setValues(data);
-            Logger.log(`Successfully wrote ${data.length} rows of data to the spreadsheet.`);
-        } else {
-            Logger.log("No qualifying search terms found.");
-            sheet.getRange(1, 1).setValue("No qualifying search terms found for the specified criteria.");
+        row[COL.RUN_STATUS] = runStatus;
+        counts[runStatus]++;
+        seenKeys.add(key);
+        history.set(key, [
+            row[COL.SEARCH_TERM], row[COL.CAMPAIGN_ID], row[COL.CAMPAIGN], row[COL.AD_GROUP_ID], row[COL.AD_GROUP], row[COL.SOURCE],
+            runStatus, previous ? formatSheetDate(previous[H['First Seen']]) : today, today,
+            (previous ? Number(previous[H['Runs Qualified']]) || 0 : 0) + 1,
+            row[COL.IMPRESSIONS], row[COL.CLICKS], row[COL.COST], row[COL.CONVERSIONS], row[COL.CONVERSION_VALUE]
+        ]);
+    });
+    
+    // Terms that qualified last time but not now are either keywords by now or fell below the thresholds.
+    // Rejected and snoozed terms are hidden on purpose and keep their status.
+    const closedRows = [];
+    const account = AdsApp.currentAccount();
+    history.forEach((entry, key) => {
+        const lastStatus = entry[H['Run Status']];
+        if (seenKeys.has(key) || suppressed.has(key) || (lastStatus !== 'NEW' && lastStatus !== 'RECURRING')) {
+            return;
         }
         
+        // History from before the Source column only holds Search terms
+        const searchTerm = String(entry[H['Search Term']]);
+        const source = String(entry[H['Source']] || 'SEARCH');
+        entry[H['Source']] = source;
+        
+        // Terms of other sources are resolved once they are keywords in the Search campaigns they map to
+        const coverage = source === 'SEARCH' ?
+            checkIfSearchTermIsKeywordInCampaign(searchTerm, String(entry[H['Campaign ID']]), String(entry[H['Ad Group ID']]), coverageIndexes) :
+            checkMappedSearchCoverage(searchTerm, String(entry[H['Campaign']]), coverageIndexes);
+        const runStatus = coverage ? 'RESOLVED' : 'DROPPED';
+        entry[H['Run Status']] = runStatus;
+        counts[runStatus]++;
+        
+        // The row shows the metrics of the last run the term qualified in
+        const cost = Number(entry[H['Cost']]) || 0;
+        const conversions = Number(entry[H['Conversions']]) || 0;
+        const conversionValue = Number(entry[H['Conv. Value']]) || 0;
+        const row = createEmptyRow();
+        row[COL.SEARCH_TERM] = searchTerm;
+        row[COL.RUN_STATUS] = runStatus;
+        row[COL.SOURCE] = source;
+        row[COL.CAMPAIGN] = entry[H['Campaign']];
+        row[COL.AD_GROUP] = entry[H['Ad Group']];
+        row[COL.IMPRESSIONS] = Number(entry[H['Impressions']]) || 0;
+        row[COL.CLICKS] = Number(entry[H['Clicks']]) || 0;
+        row[COL.COST] = cost;
+        row[COL.CONVERSIONS] = conversions;
+        row[COL.CONVERSION_VALUE] = conversionValue;
+        row[COL.CPA] = conversions > 0 ? cost / conversions : 0;
+        row[COL.ROAS] = cost > 0 ? conversionValue / cost : 0;
+        row[COL.CAMPAIGN_ID] = String(entry[H['Campaign ID']]);
+        row[COL.AD_GROUP_ID] = String(entry[H['Ad Group ID']]);
+        row[COL.ACCOUNT] = account.getName();
+        row[COL.ACCOUNT_ID] = account.getCustomerId();
+        row[COL.NOTES] = coverage ? `Now covered by ${coverage.keyword}` : `Last qualified on ${formatSheetDate(entry[H['Last Seen']])}`;
+        closedRows.push(row);
+    });
+    
+    try {
+        const sheet = getOrCreateSheet(tabName, HISTORY_HEADERS);
+        const rows = Array.from(history.values());
+        
+        sheet.clear();
+        sheet.getRange(1, 1, 1, HISTORY_HEADERS.length).setValues([HISTORY_HEADERS]);
+        if (rows.length > 0) {
+            sheet.getRange(2, 1, rows.length, HISTORY_HEADERS.length).setValues(rows);
+        }
     } catch (e) {
-        Logger.log(`Error in exportToSheet: ${e.message}`);
-        Logger.log("Attempting to log data to console instead...");
+        logError(`Error writing to ${tabName}: ${e.message}`);
+    }
+    
+    Logger.log(`Run history: ${counts.NEW} new, ${counts.RECURRING} recurring, ${counts.RESOLVED} resolved, ${counts.DROPPED} dropped`);
+    return closedRows;
+}
+
+function mergeWithPendingRows(data, pendingRows) {
+    if (pendingRows.length === 0) {
+        return data;
+    }
+    
+    const pendingByKey = new Map();
+    pendingRows.forEach(row => pendingByKey.set(getTermKey(row[COL.SEARCH_TERM], row[COL.CAMPAIGN_ID]), row));
+    
+    // Fresh rows replace their previous version but keep the reviewer's action and notes
+    const merged = data.map(row => {
+        const key = getTermKey(row[COL.SEARCH_TERM], row[COL.CAMPAIGN_ID]);
+        const previous = pendingByKey.get(key);
         
-        // Fallback: log the data to console
-        if (data.length > 0) {
-            Logger.log("=== SEARCH TERM DATA ===");
-            Logger.log("Search Term | Status | Campaign | Ad Group | Impressions | Clicks | Cost | Conversions | Conv. Value | CPA | ROAS");
-            data.forEach(row => {
-                Logger.log(row.join(" | "));
-            });
-            Logger.log("=== END DATA ===");
-        } else {
-            Logger.log("No qualifying search terms found for the specified criteria.");
+        if (!previous) {
+            return row;
         }
         
-        throw e; // Re-throw the error so the main function knows something went wrong
+        pendingByKey.delete(key);
+        const mergedRow = row.slice();
+        mergedRow[COL.ACTION] = previous[COL.ACTION];
+        mergedRow[COL.NOTES] = previous[COL.NOTES] || row[COL.NOTES];
+        return mergedRow;
+    });
+    
+    return merged.concat(Array.from(pendingByKey.values()));
+}
+
+function loadSettings() {
+    // Start from the defaults in this script, formatted the way they appear in the Settings tab
+    const rawValues = new Map();
+    SETTING_DEFINITIONS.forEach(definition => {
+        rawValues.set(definition.name, formatSettingValue(definition.value));
+    });
+    
+    const errors = [];
+    
+    try {
+        readSettingsTab().forEach(record => {
+            const name = String(record['Setting']).trim();
+            if (!rawValues.has(name)) {
+                errors.push(`${name}: unknown setting`);
+                return;
+            }
+            rawValues.set(name, record['Value']);
+        });
+    } catch (e) {
+        logError(`Error reading the ${SETTINGS_TAB} tab: ${e.message}. Using the defaults from the script.`);
+    }
+    
+    // Defaults are validated as well, so a typo in the script fails just as clearly
+    const config = {};
+    SETTING_DEFINITIONS.forEach(definition => {
+        try {
+            config[definition.name] = parseSettingValue(definition, rawValues.get(definition.name));
+        } catch (e) {
+            errors.push(`${definition.name}: ${e.message}`);
+        }
+    });
+    
+    if (config.USE_AI_CLASSIFICATION && (config.AI_PROVIDER === 'AZURE_OPENAI' || config.AI_PROVIDER === 'OPENAI_COMPATIBLE') && !config.AI_BASE_URL) {
+        errors.push(`AI_BASE_URL: required for AI_PROVIDER ${config.AI_PROVIDER}`);
+    }
+    
+    const labels = AI_CLASSIFICATIONS.concat(RULE_CLASSIFICATIONS);
+    ['AUTO_APPLY_CLASSIFICATIONS', 'NEGATIVE_AI_CLASSIFICATIONS'].forEach(name => {
+        const unknown = (config[name] || []).filter(label => !labels.includes(label));
+        if (unknown.length > 0) {
+            errors.push(`${name}: unknown classification ${unknown.join(', ')}, use ${labels.join(', ')}`);
+        }
+    });
+    
+    if (config.MCC_BATCH_SIZE < 1 || config.MCC_BATCH_SIZE > 50) {
+        errors.push(`MCC_BATCH_SIZE: ${config.MCC_BATCH_SIZE} is outside 1-50, the maximum Google Ads runs in parallel`);
+    }
+    
+    if (!Number.isInteger(config.BATCH_SIZE) || config.BATCH_SIZE < 1) {
+        errors.push(`BATCH_SIZE: ${config.BATCH_SIZE} is not a whole number of at least 1`);
+    } else if (config.USE_AI_CLASSIFICATION && config.BATCH_SIZE * AI_OUTPUT_TOKENS_PER_TERM > AI_MAX_OUTPUT_TOKENS) {
+        // A reply cut off at the output limit is not valid JSON, the whole batch would be paid for and asked again
+        errors.push(`BATCH_SIZE: ${config.BATCH_SIZE} terms need about ${config.BATCH_SIZE * AI_OUTPUT_TOKENS_PER_TERM} output tokens, more than the limit of ${AI_MAX_OUTPUT_TOKENS}, use at most ${Math.floor(AI_MAX_OUTPUT_TOKENS / AI_OUTPUT_TOKENS_PER_TERM)}`);
+    }
+    
+    // Without weight the prior divides by zero and every Bayesian column turns into NaN, negative numbers fail to parse
+    if (config.BAYESIAN_PRIOR_STRENGTH === 0) {
+        errors.push(`BAYESIAN_PRIOR_STRENGTH: ${config.BAYESIAN_PRIOR_STRENGTH} must be greater than 0`);
+    }
+    
+    const unknownSources = (config.SEARCH_TERM_SOURCES || []).filter(source => SEARCH_TERM_SOURCE_NAMES.indexOf(source) === -1);
+    if (unknownSources.length > 0 || (config.SEARCH_TERM_SOURCES || []).length === 0) {
+        errors.push(`SEARCH_TERM_SOURCES: use one or more of ${SEARCH_TERM_SOURCE_NAMES.join(', ')}`);
+    }
+    
+    const unknownFormats = (config.EXPORT_FORMATS || []).filter(format => !EXPORTERS[format]);
+    if (unknownFormats.length > 0) {
+        errors.push(`EXPORT_FORMATS: unknown format ${unknownFormats.join(', ')}, use ${Object.keys(EXPORTERS).join(', ')}`);
+    }
+    
+    if (config.MIN_CONFIDENCE < 0 || config.MIN_CONFIDENCE > 1) {
+        errors.push(`MIN_CONFIDENCE: ${config.MIN_CONFIDENCE} is outside 0-1`);
+    }
+    
+    if (config.SUGGESTION_MIN_SIMILARITY < 0 || config.SUGGESTION_MIN_SIMILARITY > 1) {
+        errors.push(`SUGGESTION_MIN_SIMILARITY: ${config.SUGGESTION_MIN_SIMILARITY} is outside 0-1`);
+    }
+    
+    if (!config.USE_AUTO_DATE_RANGE && config.MANUAL_START_DATE > config.MANUAL_END_DATE) {
+        errors.push(`MANUAL_START_DATE: ${config.MANUAL_START_DATE} is after MANUAL_END_DATE ${config.MANUAL_END_DATE}`);
+    }
+    
+    if (errors.length > 0) {
+        throw new Error(`Invalid settings in the ${SETTINGS_TAB} tab:\n- ${errors.join('\n- ')}`);
+    }
+    
+    return config;
+}
+
+function readSettingsTab() {
+    const ss = getSpreadsheet();
+    let sheet = ss.getSheetByName(SETTINGS_TAB);
+    
+    if (!sheet) {
+        sheet = ss.insertSheet(SETTINGS_TAB);
+        // Plain text values, so dates and numbers are not reformatted by Sheets
+        sheet.getRange(1, 2, SETTING_DEFINITIONS.length + 1, 1).setNumberFormat('@');
+        sheet.getRange(1, 1, 1, SETTINGS_HEADERS.length).setValues([SETTINGS_HEADERS]);
+        Logger.log(`Created ${SETTINGS_TAB} tab with the default settings`);
+    }
+    
+    renameOldSettings(sheet);
+    
+    const records = readSheetRecords(sheet).filter(record => String(record['Setting'] || '').trim() !== '');
+    const existing = new Set(records.map(record => String(record['Setting']).trim()));
+    
+    // Settings added in newer versions of the script are appended with their defaults
+    const missing = SETTING_DEFINITIONS.filter(definition => !existing.has(definition.name));
+    if (missing.length > 0) {
+        const rows = missing.map(definition => [definition.name, formatSettingValue(definition.value), definition.description]);
+        const startRow = sheet.getLastRow() + 1;
+        sheet.getRange(startRow, 2, rows.length, 1).setNumberFormat('@');
+        sheet.getRange(startRow, 1, rows.length, SETTINGS_HEADERS.length).setValues(rows);
+        Logger.log(`Added ${missing.length} settings with default values to the ${SETTINGS_TAB} tab`);
+    }
+    
+    return records;
+}
+
+function renameOldSettings(sheet) {
+    if (sheet.getLastRow() < 2) {
+        return;
+    }
+    
+    const names = sheet.getRange(2, 1, sheet.getLastRow() - 1, 1).getValues();
+    names.forEach((row, index) => {
+        const oldName = String(row[0]).trim();
+        const newName = RENAMED_SETTINGS[oldName];
+        if (!newName) {
+            return;
+        }
+        
+        const definition = SETTING_DEFINITIONS.find(item => item.name === newName);
+        sheet.getRange(index + 2, 1).setValue(newName);
+        sheet.getRange(index + 2, 3).setValue(definition.description);
+        Logger.log(`Renamed setting ${oldName} to ${newName} in the ${SETTINGS_TAB} tab`);
+    });
+}
+
+function formatSettingValue(value) {
+    if (Array.isArray(value)) {
+        return value.join(', ');
+    }
+    if (typeof value === 'boolean') {
+        return value ? 'TRUE' : 'FALSE';
+    }
+    return String(value);
+}
+
+function parseSettingValue(definition, rawValue) {
+    const text = rawValue instanceof Date ?
+        Utilities.formatDate(rawValue, getSpreadsheet().getSpreadsheetTimeZone(), 'yyyy-MM-dd') :
+        String(rawValue === null || rawValue === undefined ? '' : rawValue).trim();
+    
+    switch (definition.type) {
+        case 'number': {
+            const number = Number(text.replace(',', '.'));
+            if (text === '' || isNaN(number) || number < 0) {
+                throw new Error(`'${text}' is not a valid number (0 or higher)`);
+            }
+            return number;
+        }
+        case 'boolean': {
+            const upper = text.toUpperCase();
+            if (upper === 'TRUE' || upper === 'YES' || upper === '1') {
+                return true;
+            }
+            if (upper === 'FALSE' || upper === 'NO' || upper === '0') {
+                return false;
+            }
+            throw new Error(`'${text}' is not TRUE or FALSE`);
+        }
+        case 'enum': {
+            const upper = text.toUpperCase();
+            if (!definition.options.includes(upper)) {
+                throw new Error(`unknown value '${text}', use one of ${definition.options.join(', ')}`);
+            }
+            return upper;
+        }
+        case 'date': {
+            if (!isValidDateString(text)) {
+                throw new Error(`'${text}' is not a valid date, use the format YYYY-MM-DD`);
+            }
+            return text;
+        }
+        case 'model': {
+            if (!MODEL_PRICING[text]) {
+                throw new Error(`model '${text}' has no pricing in MODEL_PRICING, add it to the script or use one of ${Object.keys(MODEL_PRICING).join(', ')}`);
+            }
+            return text;
+        }
+        case 'list':
+            return text === '' ? [] : text.split(',').map(item => item.trim()).filter(item => item !== '');
+        default:
+            return text;
+    }
+}
+
+function isValidDateString(text) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text);
+    if (!match) {
+        return false;
     }
+    
+    // Reject dates like 2025-02-30 that JavaScript would roll over
+    const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+    return date.toISOString().substring(0, 10) === text;
+}
+
+function logEffectiveConfig(config) {
+    Logger.log('=== EFFECTIVE CONFIGURATION ===');
+    SETTING_DEFINITIONS.forEach(definition => {
+        Logger.log(`${definition.name} = ${formatSettingValue(config[definition.name])}`);
+    });
+    Logger.log('===============================');
 }
\ No newline at end of file